@@ -7,15 +7,40 @@ const nodeID3 = require('node-id3');
 const flacMetadata = require('flac-metadata');
 const stream = require('stream');
 const axios = require('axios');
+const crypto = require('crypto');
+const http = require('http');
 const api = require('./main');
 const logger = require('./util/logger');
 
 let config = {
     port: 3001,
+    host: '0.0.0.0',
     quality: 'exhigh',
     mode: 'speed', // 'speed' or 'experience'
     refreshInterval: 3600000, // 1 hour cache for PROPFIND
     metadataTTL: 86400000, // 24 hours for song metadata
+    audioCacheMaxSize: 0, // MB of audio kept under data/audio_cache, 0 disables
+    cloudUploadMaxSize: 500, // MB accepted per 云盘 upload, which is held in memory while it is sent on
+    authType: 'both', // 'basic', 'digest' or 'both'
+    authRealm: 'NCM-WEBDAV',
+    users: [], // [{ username, password | passwordHash, readOnly }], empty disables auth
+    lrcFiles: true, // list a sidecar .lrc next to every song
+    lyricVariant: 'lrc', // 'lrc' (line synced) or 'yrc' (word synced, enhanced LRC)
+    lyricTranslation: true, // merge tlyric lines under the original
+    lyricRomanization: false, // merge romalrc lines under the original
+    embedLyrics: true, // experience mode: USLT/SYLT for MP3, LYRICS comment for FLAC
+    playlistFiles: ['m3u8'], // ordered playlist files in each playlist folder: 'm3u8', 'xspf'
+    confirmPlaylistDelete: true, // deleting a playlist folder only succeeds when repeated within a minute
+    propfindDepthLimit: 1, // levels listed for `Depth: infinity` (or no Depth header), 0 rejects such requests
+    filenameTemplate: '{title} - {artist}', // placeholders: {title} {artist} {album} {index} {track} {disc} {year} {id}, {index:03} pads
+    maxFilenameLength: 120, // Longest song, program or video file name in UTF-16 units, extension and clash suffix included
+    fmWindowSize: 10, // upcoming tracks kept listed in each 私人FM folder
+    searchLimit: 30, // hits listed per /搜索 folder (songs, albums and artists each)
+    scrobble: true, // report songs streamed by this server to the NetEase listening history
+    scrobbleThreshold: 0.5, // fraction of a file that has to be delivered before it counts as played
+    unblock: false, // play grey, VIP-only and trial-only songs from other sources (song_url_match)
+    unblockSources: ['unm', 'gdmusic', 'qijieya', 'toubiec', 'msls'], // unblock sources in the order they are tried
+    unavailableTracks: 'show', // grey, trial-only and VIP-only songs: 'show', 'hide', 'prefix' ([试听]/[不可用]) or 'subfolder' (_unavailable)
 };
 
 if (fs.existsSync('webdav_config.json')) {
@@ -32,102 +57,469 @@ if (fs.existsSync('webdav_config.json')) {
     }
 }
 
-// Ensure config file is synced with code
-try {
-    fs.writeFileSync('webdav_config.json', JSON.stringify(config, null, 4));
-} catch (e) {
-    logger.error('Error saving webdav_config.json', e);
+// Plain passwords are replaced by their digest HA1 before the config is written
+// back, so the file never keeps them. HA1 depends on the realm: changing
+// `authRealm` means setting the passwords again.
+config.users = (config.users || []).map(u => {
+    if (u.password) {
+        const { password, ...rest } = u;
+        return { ...rest, passwordHash: digestHA1(u.username, password) };
+    }
+    return u;
+});
+
+function md5(str) {
+    return crypto.createHash('md5').update(str).digest('hex');
+}
+
+function digestHA1(username, password) {
+    return md5(`${username}:${config.authRealm}:${password}`);
 }
 
 const app = express();
 const PORT = config.port || 3001;
-const DATA_DIR = path.join(__dirname, 'data');
-const COOKIE_FILE = path.join(DATA_DIR, 'cookie.txt');
-const CACHE_FILE = path.join(DATA_DIR, 'webdav_cache.json');
+// WEBDAV_DATA_DIR moves cookies and caches elsewhere, e.g. for the tests
+const DATA_DIR = process.env.WEBDAV_DATA_DIR || path.join(__dirname, 'data');
+const DEFAULT_ACCOUNT = 'default';
+const ACCOUNT_PAGE = '/_account';
+// The account page's fetch calls send this header. Forms and links from other
+// sites can't, and a cross-origin fetch adding it fails the CORS preflight.
+const ACCOUNT_REQUEST_HEADER = 'X-Requested-With';
 
 if (!fs.existsSync(DATA_DIR)) {
     fs.mkdirSync(DATA_DIR);
 }
 
-let userCookie = '';
-// Enhanced Cache
-let webdavCache = {
-    songs: {}, // id -> metadata
-    playlists: {}, // id -> { name, trackIds, trackAt, updateTime, timestamp }
-    userPlaylists: { data: [], timestamp: 0 },
-    recommendPlaylists: { data: [], timestamp: 0 },
-    dailySongs: { data: [], timestamp: 0 },
-    propfind: {}, // path -> { xml, timestamp }
-    songPathMap: {}, // path -> songId
-};
+// Each NetEase login lives in its own account: cookie file, cache and path map.
+// WebDAV users are mapped to accounts by their `account` field (their username
+// if unset). Without configured users everything runs on the default account,
+// which keeps the original data/cookie.txt and data/webdav_cache.json.
+const accounts = new Map(); // name -> account
+
+function createEmptyCache() {
+    return {
+        songs: {}, // id -> metadata
+        playlists: {}, // id -> { name, trackIds, trackAt, updateTime, timestamp }
+        userPlaylists: { data: [], timestamp: 0 },
+        recommendPlaylists: { data: [], timestamp: 0 },
+        dailySongs: { data: [], timestamp: 0 },
+        albums: {}, // id -> { name, artist, picUrl, publishTime, trackIds, timestamp }
+        lyrics: {}, // id -> { variant, lrc, tlyric, romalrc, yrc, ytlrc, yromalrc, timestamp }
+        propfind: {}, // path -> { resources, timestamp } listing of the path and its children
+        textFiles: {}, // path -> { content, mtime } for generated files such as playlist.m3u8
+        lists: {}, // key -> { data, timestamp } for collection listings (sublists, artist albums)
+        covers: {}, // dir path (folder.jpg), image path or cover URL -> { url, size }
+        videos: {}, // path -> video (or its poster with `poster: true`) listed there
+        deadProps: {}, // path -> { `${ns} ${name}`: { ns, name, value } } stored by PROPPATCH
+        sizes: {}, // `${songId}:${quality}` -> { size, type, served: { ext: size }, timestamp } resolved from song_url_v1
+        unblocked: {}, // songId -> { source, url, timestamp } from song_url_match, source null when nothing matched
+        songPathMap: {}, // path -> songId
+    };
+}
+
+function getAccountFile(name, base, ext) {
+    if (name === DEFAULT_ACCOUNT) return path.join(DATA_DIR, base + ext);
+    return path.join(DATA_DIR, `${base}_${cleanName(name)}${ext}`);
+}
+
+function createAccount(name) {
+    const account = {
+        name,
+        cookieFile: getAccountFile(name, 'cookie', '.txt'),
+        cacheFile: getAccountFile(name, 'webdav_cache', '.json'),
+        cookie: '',
+        webdavCache: createEmptyCache(),
+    };
+
+    if (fs.existsSync(account.cacheFile)) {
+        try {
+            const savedCache = JSON.parse(fs.readFileSync(account.cacheFile, 'utf-8'));
+            account.webdavCache = { ...account.webdavCache, ...savedCache };
+        } catch (e) {
+            logger.error(`Error parsing ${path.basename(account.cacheFile)}`, e);
+        }
+    }
+    account.songPathMap = new Map(Object.entries(account.webdavCache.songPathMap || {})); // path -> songId
+    account.fm = {}; // 私人FM folder name -> { entries: [{ id, seq }], position, nextSeq, filling }
+    account.searches = new Map(); // `${type}:${keywords}` -> { data, timestamp }, kept for SEARCH_TTL
+
+    if (fs.existsSync(account.cookieFile)) {
+        account.cookie = fs.readFileSync(account.cookieFile, 'utf-8');
+    }
+    return account;
+}
+
+function getAccountName(user) {
+    return user ? user.account || user.username : DEFAULT_ACCOUNT;
+}
+
+(config.users.length > 0 ? config.users.map(getAccountName) : [DEFAULT_ACCOUNT]).forEach(name => {
+    if (!accounts.has(name)) accounts.set(name, createAccount(name));
+});
 
-if (fs.existsSync(CACHE_FILE)) {
+function saveCache(account) {
     try {
-        const savedCache = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf-8'));
-        webdavCache = { ...webdavCache, ...savedCache };
+        // FM and search listings are gone after a restart, and so are their paths
+        account.webdavCache.songPathMap = Object.fromEntries([...account.songPathMap].filter(([p]) => !isVolatileListing(path.dirname(p))));
+        fs.writeFileSync(account.cacheFile, JSON.stringify(account.webdavCache));
     } catch (e) {
-        logger.error('Error parsing webdav_cache.json', e);
+        logger.error('Error saving cache', e);
     }
 }
 
-const songPathMap = new Map(Object.entries(webdavCache.songPathMap || {})); // path -> songId
+function setCookie(account, cookie) {
+    account.cookie = Array.isArray(cookie) ? cookie.join('; ') : cookie;
+    fs.writeFileSync(account.cookieFile, account.cookie);
+}
+
+function accountLabel(account) {
+    return account.name === DEFAULT_ACCOUNT ? '' : ` [${account.name}]`;
+}
+
+// On-disk audio cache shared by both modes. Files hold the raw upstream audio
+// (experience mode still injects its tags on the way out) and are keyed by
+// account, song id and quality: a track one account plays in full may only be
+// a trial for another. Downloads go to a `.part` file that is only renamed once its
+// length and md5 match what song_url_v1 announced.
+const AUDIO_CACHE_DIR = path.join(DATA_DIR, 'audio_cache');
+const AUDIO_CACHE_INDEX = path.join(AUDIO_CACHE_DIR, 'index.json');
+let audioCacheIndex = {}; // key -> { file, size, md5, source, lastAccess }
+const audioCacheDownloads = new Map(); // key -> Promise
+let audioCacheSaveTimer = null;
+
+function audioCacheEnabled() {
+    return config.audioCacheMaxSize > 0;
+}
+
+function audioCacheKey(account, songId) {
+    return `${cleanName(account.name)}_${songId}_${config.quality}`;
+}
 
-function saveCache() {
+function saveAudioCacheIndex() {
+    clearTimeout(audioCacheSaveTimer);
+    audioCacheSaveTimer = null;
     try {
-        webdavCache.songPathMap = Object.fromEntries(songPathMap);
-        fs.writeFileSync(CACHE_FILE, JSON.stringify(webdavCache));
+        fs.writeFileSync(AUDIO_CACHE_INDEX, JSON.stringify(audioCacheIndex));
     } catch (e) {
-        logger.error('Error saving cache', e);
+        logger.error('Error saving audio cache index', e);
     }
 }
 
-// Load cookie from file
-if (fs.existsSync(COOKIE_FILE)) {
-    userCookie = fs.readFileSync(COOKIE_FILE, 'utf-8');
+// Access times change on every hit, so batch those writes
+function scheduleAudioCacheSave() {
+    if (!audioCacheSaveTimer) {
+        audioCacheSaveTimer = setTimeout(saveAudioCacheIndex, 5000);
+    }
 }
 
-async function checkLogin() {
-    if (!userCookie) return false;
+function removeAudioCacheEntry(key) {
+    const entry = audioCacheIndex[key];
+    delete audioCacheIndex[key];
+    if (!entry) return;
     try {
-        const res = await api.login_status({ cookie: userCookie });
-        return res && res.body && res.body.data && res.body.data.profile !== null;
+        fs.unlinkSync(path.join(AUDIO_CACHE_DIR, entry.file));
     } catch (e) {
-        return false;
+        if (e.code !== 'ENOENT') logger.error(`Error removing cached audio ${entry.file}`, e);
+    }
+}
+
+function loadAudioCache() {
+    if (!audioCacheEnabled()) return;
+    if (!fs.existsSync(AUDIO_CACHE_DIR)) {
+        fs.mkdirSync(AUDIO_CACHE_DIR);
+    }
+    if (fs.existsSync(AUDIO_CACHE_INDEX)) {
+        try {
+            audioCacheIndex = JSON.parse(fs.readFileSync(AUDIO_CACHE_INDEX, 'utf-8'));
+        } catch (e) {
+            logger.error('Error parsing audio cache index', e);
+        }
+    }
+
+    // Drop entries whose file went missing or was cut short
+    Object.keys(audioCacheIndex).forEach(key => {
+        const entry = audioCacheIndex[key];
+        let stat = null;
+        try {
+            stat = fs.statSync(path.join(AUDIO_CACHE_DIR, entry.file));
+        } catch (e) {
+            // missing
+        }
+        if (!stat || stat.size !== entry.size) removeAudioCacheEntry(key);
+    });
+
+    // Leftover `.part` files and anything the index doesn't know about
+    const known = new Set(Object.values(audioCacheIndex).map(e => e.file));
+    fs.readdirSync(AUDIO_CACHE_DIR).forEach(file => {
+        if (file === path.basename(AUDIO_CACHE_INDEX) || known.has(file)) return;
+        try {
+            fs.unlinkSync(path.join(AUDIO_CACHE_DIR, file));
+        } catch (e) {
+            logger.error(`Error removing stale cache file ${file}`, e);
+        }
+    });
+
+    evictAudioCache();
+    saveAudioCacheIndex();
+}
+
+// Least recently used files go first until the cache fits its limit again
+function evictAudioCache() {
+    const maxBytes = config.audioCacheMaxSize * 1024 * 1024;
+    let total = Object.values(audioCacheIndex).reduce((sum, e) => sum + e.size, 0);
+    const entries = Object.entries(audioCacheIndex).sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    for (const [key, entry] of entries) {
+        if (total <= maxBytes) break;
+        removeAudioCacheEntry(key);
+        total -= entry.size;
+    }
+}
+
+function getCachedAudio(account, songId) {
+    if (!audioCacheEnabled()) return null;
+    const key = audioCacheKey(account, songId);
+    const entry = audioCacheIndex[key];
+    if (!entry) return null;
+    const filePath = path.join(AUDIO_CACHE_DIR, entry.file);
+    if (!fs.existsSync(filePath)) {
+        delete audioCacheIndex[key];
+        scheduleAudioCacheSave();
+        return null;
+    }
+    entry.lastAccess = Date.now();
+    scheduleAudioCacheSave();
+    return { path: filePath, size: entry.size, type: path.extname(entry.file).slice(1), source: entry.source };
+}
+
+// Starts a background download of a resolved song_url_v1 entry if it isn't cached yet
+// and returns it. Trial clips are never cached: they would be served as the full track from then on.
+function cacheAudio(account, songId, song) {
+    if (!audioCacheEnabled() || !song || !song.url || song.freeTrialInfo) return null;
+    const key = audioCacheKey(account, songId);
+    if (audioCacheIndex[key]) return null;
+    if (audioCacheDownloads.has(key)) return audioCacheDownloads.get(key);
+    if (song.size && song.size > config.audioCacheMaxSize * 1024 * 1024) return null;
+
+    const download = downloadToCache(key, song)
+        .catch(e => logger.error(`Error caching song ${songId}:`, e.message))
+        .finally(() => audioCacheDownloads.delete(key));
+    audioCacheDownloads.set(key, download);
+    return download;
+}
+
+async function downloadToCache(key, song) {
+    const fileName = `${key}.${(song.type || 'mp3').toLowerCase()}`;
+    const finalPath = path.join(AUDIO_CACHE_DIR, fileName);
+    const partPath = `${finalPath}.part`;
+
+    const upstreamRes = await axios({
+        method: 'get',
+        url: song.url,
+        responseType: 'stream',
+        timeout: 10000,
+    });
+
+    const hash = crypto.createHash('md5');
+    let written = 0;
+    try {
+        await new Promise((resolve, reject) => {
+            const out = fs.createWriteStream(partPath);
+            upstreamRes.data.on('data', (chunk) => {
+                hash.update(chunk);
+                written += chunk.length;
+            });
+            upstreamRes.data.on('error', reject);
+            out.on('error', reject);
+            out.on('finish', resolve);
+            upstreamRes.data.pipe(out);
+        });
+
+        const expected = song.size || parseInt(upstreamRes.headers['content-length'], 10) || 0;
+        if (expected && written !== expected) {
+            throw new Error(`Incomplete download: ${written} of ${expected} bytes`);
+        }
+        if (song.md5 && hash.digest('hex') !== song.md5.toLowerCase()) {
+            throw new Error('MD5 mismatch');
+        }
+        fs.renameSync(partPath, finalPath);
+    } catch (e) {
+        fs.rmSync(partPath, { force: true });
+        throw e;
+    }
+
+    audioCacheIndex[key] = { file: fileName, size: written, md5: song.md5, source: song.unblockSource || NETEASE_SOURCE, lastAccess: Date.now() };
+    evictAudioCache();
+    saveAudioCacheIndex();
+    logger.info(`Cached ${fileName} (${(written / 1024 / 1024).toFixed(1)} MB)`);
+}
+
+// Grey, VIP-only and trial-only songs can be matched on other sources through
+// song_url_match, the unblock path the API server uses. The matched source is
+// kept and tried first next time; its URL is reused for a while since most expire.
+const UNBLOCK_URL_TTL = 10 * 60 * 1000;
+const NETEASE_SOURCE = 'netease';
+
+async function matchUnblocked(account, songId) {
+    const { unblocked } = account.webdavCache;
+    const cached = unblocked[songId];
+    if (cached && !cached.source && Date.now() - cached.timestamp < config.refreshInterval) return null;
+    if (cached && cached.source && Date.now() - cached.timestamp < UNBLOCK_URL_TTL) return cached;
+
+    const sources = [...new Set([...(cached && cached.source ? [cached.source] : []), ...config.unblockSources])];
+    for (const source of sources) {
+        try {
+            const matchRes = await api.song_url_match({ id: songId, source });
+            if (matchRes.body.code === 200 && matchRes.body.data) {
+                const match = { source, url: matchRes.body.proxyUrl || matchRes.body.data, timestamp: Date.now() };
+                unblocked[songId] = match;
+                saveCache(account);
+                logger.info(`Unblocked song ${songId} from ${source}`);
+                return match;
+            }
+        } catch (e) {
+            logger.error(`Unblock from ${source} failed for song ${songId}:`, e.message);
+        }
+    }
+    unblocked[songId] = { source: null, timestamp: Date.now() };
+    saveCache(account);
+    return null;
+}
+
+// Songs song_url_v1 cannot serve in full: no URL, or only a trial clip
+function isBlocked(song) {
+    return !song || !song.url || !!song.freeTrialInfo;
+}
+
+// The song_url_v1 entry of a song, replaced by an unblocked match when it is
+// blocked. Matched entries name their source in `unblockSource`.
+async function getSongUrl(account, songId) {
+    const urlRes = await api.song_url_v1({ id: songId, level: config.quality, cookie: account.cookie });
+    const song = urlRes.body.data && urlRes.body.data[0];
+    const playable = song && song.url ? song : null;
+    if (!config.unblock || !isBlocked(song)) return playable;
+
+    const match = await matchUnblocked(account, songId);
+    if (!match) return playable;
+    return {
+        id: songId,
+        url: match.url,
+        type: /\.flac(\?|$)/i.test(match.url) ? 'flac' : 'mp3',
+        unblockSource: match.source,
+    };
+}
+
+// Unblock source a cached file came from, if it was unblocked
+function getCachedUnblockSource(cachedAudio) {
+    return cachedAudio.source && cachedAudio.source !== NETEASE_SOURCE ? cachedAudio.source : null;
+}
+
+// Speed mode serves cache hits directly instead of redirecting
+function createCachedFile(account, songId, cachedAudio) {
+    const s = account.webdavCache.songs[songId];
+    return {
+        source: cachedAudio,
+        header: Buffer.alloc(0),
+        audioOffset: 0,
+        audioSize: cachedAudio.size,
+        size: cachedAudio.size,
+        contentType: cachedAudio.type === 'flac' ? 'audio/flac' : 'audio/mpeg',
+        etag: `"${songId}-${config.quality}-${cachedAudio.size.toString(16)}"`,
+        mtime: s && s.publishTime ? new Date(s.publishTime) : todayDate,
+    };
+}
+
+loadAudioCache();
+
+async function getProfile(account) {
+    if (!account.cookie) return null;
+    try {
+        const res = await api.login_status({ cookie: account.cookie });
+        return (res && res.body && res.body.data && res.body.data.profile) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+async function checkLogin(account) {
+    return !!(await getProfile(account));
+}
+
+// QR logins are tracked per account so the terminal and the /_account page
+// share the same pending code: whichever side sees the scan completes it.
+async function startQrLogin(account) {
+    const keyRes = await api.login_qr_key({ timestamp: Date.now() });
+    const unikey = keyRes.body.data.unikey;
+    const url = `https://music.163.com/login?codekey=${unikey}`;
+    account.qrLogin = {
+        key: unikey,
+        url,
+        image: await qrcode.toDataURL(url),
+        status: 801,
+        message: '等待扫码',
+    };
+    return account.qrLogin;
+}
+
+async function checkQrLogin(account) {
+    const pending = account.qrLogin;
+    if (!pending) return null;
+    const statusRes = await api.login_qr_check({ key: pending.key, timestamp: Date.now() });
+    pending.status = statusRes.body.code;
+    pending.message = statusRes.body.message || pending.message;
+    if (pending.status === 803) {
+        console.log(`Login successful${accountLabel(account)}!`);
+        setCookie(account, statusRes.body.cookie);
+        account.qrLogin = null;
+        syncAllData(account);
+    } else if (pending.status === 800) {
+        account.qrLogin = null;
+    }
+    return pending;
+}
+
+async function logout(account) {
+    try {
+        await api.logout({ cookie: account.cookie });
+    } catch (e) {
+        logger.error('Logout request failed:', e);
+    }
+    account.cookie = '';
+    fs.rmSync(account.cookieFile, { force: true });
+    // Nothing from the previous login may leak into the next one
+    account.webdavCache = createEmptyCache();
+    account.songPathMap = new Map();
+    account.fm = {};
+    account.searches.clear();
+    for (const key of experienceFiles.keys()) {
+        if (key.startsWith(`${account.name}:`)) experienceFiles.delete(key);
     }
+    saveCache(account);
+    logger.info(`Logged out${accountLabel(account)}.`);
 }
 
-async function login() {
-    console.log('Generating login QR code...');
+async function login(account) {
+    console.log(`Generating login QR code${accountLabel(account)}...`);
     try {
-        const keyRes = await api.login_qr_key({});
-        const unikey = keyRes.body.data.unikey;
-        const url = `https://music.163.com/login?codekey=${unikey}`;
+        const pending = await startQrLogin(account);
 
-        const qrString = await qrcode.toString(url, { type: 'terminal', small: true });
+        const qrString = await qrcode.toString(pending.url, { type: 'terminal', small: true });
         console.log(qrString);
 
-        console.log('Please scan the QR code with your NetEase Cloud Music app.');
+        console.log(`Please scan the QR code with your NetEase Cloud Music app, or open http://<host>:${PORT}${ACCOUNT_PAGE} in a browser.`);
 
         return new Promise((resolve) => {
             const timer = setInterval(async () => {
                 try {
-                    const statusRes = await api.login_qr_check({ key: unikey });
-                    if (statusRes.body.code === 803) {
-                        console.log('Login successful!');
-                        userCookie = statusRes.body.cookie;
-                        if (Array.isArray(userCookie)) userCookie = userCookie.join('; ');
-                        fs.writeFileSync(COOKIE_FILE, userCookie);
-                        clearInterval(timer);
-                        syncAllData();
-                        resolve(true);
-                    } else if (statusRes.body.code === 800) {
-                        console.log('QR code expired. Please restart.');
-                        clearInterval(timer);
-                        resolve(false);
-                    }
+                    if (account.qrLogin === pending) await checkQrLogin(account);
                 } catch (e) {
                     // ignore
                 }
+                // Done once this code is used up, or the web page replaced it
+                if (account.qrLogin !== pending) {
+                    clearInterval(timer);
+                    if (pending.status === 800) console.log('QR code expired. Use the account page to get a new one.');
+                    resolve(pending.status === 803);
+                }
             }, 3000);
         });
     } catch (e) {
@@ -167,331 +559,2349 @@ const todayDate = new Date();
 todayDate.setHours(0, 0, 0, 0);
 
 // Helper to fetch song details in batches
-async function getSongsDetails(ids) {
-    const missingIds = ids.filter(id => !webdavCache.songs[id] || (Date.now() - (webdavCache.songs[id].timestamp || 0) > config.metadataTTL));
+async function getSongsDetails(account, ids) {
+    const { webdavCache } = account;
+    // Entries cached before `artists` and `privilege` were stored lack those fields, refresh them too
+    const missingIds = ids.filter(id => !webdavCache.songs[id] || !webdavCache.songs[id].artists || webdavCache.songs[id].privilege === undefined || (Date.now() - (webdavCache.songs[id].timestamp || 0) > config.metadataTTL));
 
     if (missingIds.length > 0) {
         // Batch in 50s
         for (let i = 0; i < missingIds.length; i += 50) {
             const batch = missingIds.slice(i, i + 50);
             try {
-                const res = await api.song_detail({ ids: batch.join(','), cookie: userCookie });
+                const res = await api.song_detail({ ids: batch.join(','), cookie: account.cookie });
+                const privileges = {};
+                (res.body.privileges || []).forEach(p => privileges[p.id] = { st: p.st, pl: p.pl, fee: p.fee });
                 res.body.songs.forEach(s => {
                     webdavCache.songs[s.id] = {
                         id: s.id,
                         name: s.name,
                         ar: s.ar.map(a => a.name).join(','),
+                        artists: s.ar.map(a => a.name),
                         al: s.al.name,
+                        alId: s.al.id,
                         picUrl: s.al.picUrl,
                         publishTime: s.publishTime,
+                        no: s.no,
+                        cd: s.cd,
+                        dt: s.dt,
                         timestamp: Date.now(),
                         hSize: s.h ? s.h.size : 0,
                         mSize: s.m ? s.m.size : 0,
                         lSize: s.l ? s.l.size : 0,
                         sqSize: s.sq ? s.sq.size : 0,
                         hrSize: s.hr ? s.hr.size : 0,
+                        privilege: privileges[s.id] || null,
                     };
                 });
             } catch (e) {
                 logger.error('Error fetching song details batch', e);
             }
         }
-        saveCache();
+        saveCache(account);
     }
     return ids.map(id => webdavCache.songs[id]).filter(Boolean);
 }
 
-app.use(async (req, res) => {
-    const method = req.method;
-    const urlPath = decodeURIComponent(req.path).replace(/\/$/, '') || '/';
+// Served sizes come from song_url_v1 and are kept in the cache, so listings, HEAD
+// and GET all report the same length. Experience mode promises room for its tag
+// up front (the cover plus TAG_ALLOWANCE) and pads the tag it builds to fill it
+// exactly; a file that still comes out different has its real size recorded.
+const TAG_ALLOWANCE = 64 * 1024;
 
-    if (!(await checkLogin())) {
-        if (method === 'OPTIONS') {
-            res.set({
-                'Allow': 'OPTIONS, PROPFIND, GET, HEAD, COPY, MOVE',
-                'DAV': '1',
-            }).status(200).send();
-            return;
+function getSizeEntry(account, songId) {
+    return account.webdavCache.sizes[`${songId}:${config.quality}`];
+}
+
+// Resolves the sizes of `items` ({ id, picUrl }) that have none or a stale one
+async function resolveSizes(account, items) {
+    const { sizes } = account.webdavCache;
+    const missing = items.filter(item => {
+        const entry = getSizeEntry(account, item.id);
+        return !entry || Date.now() - entry.timestamp > config.metadataTTL;
+    });
+    for (let i = 0; i < missing.length; i += 100) {
+        const batch = missing.slice(i, i + 100);
+        try {
+            const urlRes = await api.song_url_v1({ id: batch.map(item => item.id).join(','), level: config.quality, cookie: account.cookie });
+            (urlRes.body.data || []).forEach(d => {
+                // Without a URL nothing is served. Unblock may replace a blocked song (a trial
+                // clip included) with a source of unknown size.
+                const size = config.unblock && isBlocked(d) ? null : (d.url ? (d.size || null) : 0);
+                sizes[`${d.id}:${config.quality}`] = { size, type: (d.type || '').toLowerCase(), served: {}, timestamp: Date.now() };
+            });
+        } catch (e) {
+            logger.error('Error resolving song sizes', e);
         }
-        res.status(401).send('Unauthorized. Please check server console for QR code.');
-        return;
     }
 
-    if (method === 'OPTIONS') {
-        res.set({
-            'Allow': 'OPTIONS, PROPFIND, GET, HEAD, COPY, MOVE',
-            'DAV': '1',
-        }).send();
-        return;
+    const picUrls = config.mode === 'experience'
+        ? [...new Set(items.map(item => item.picUrl).filter(picUrl => picUrl && !account.webdavCache.covers[picUrl]))]
+        : [];
+    for (let i = 0; i < picUrls.length; i += 10) {
+        await Promise.all(picUrls.slice(i, i + 10).map(picUrl => getImageSize(account, picUrl, picUrl)));
     }
+    if (missing.length > 0 || picUrls.length > 0) saveCache(account);
+}
 
-    if (method === 'PROPFIND') {
-        // Check cache
-        const cached = webdavCache.propfind[urlPath];
-        if (cached && (Date.now() - cached.timestamp < config.refreshInterval)) {
-            res.status(207).set('Content-Type', 'application/xml; charset=utf-8').send(cached.xml);
-            return;
+// Size a song (or program) is served with under the listed extension `ext`, null while unknown
+function getResolvedSize(account, songId, picUrl, ext) {
+    const entry = getSizeEntry(account, songId);
+    if (!entry) return null;
+    if (config.mode !== 'experience') return entry.size;
+    if (entry.served[ext] !== undefined) return entry.served[ext];
+    if (!entry.size) return entry.size;
+    // A listed .flac that turns out to be MP3 is served untagged
+    if (ext === '.flac' && entry.type !== 'flac') return entry.size;
+    const cover = picUrl ? account.webdavCache.covers[picUrl] : null;
+    return entry.size + TAG_ALLOWANCE + (cover ? cover.size : 0);
+}
+
+function recordServedSize(account, songId, ext, size) {
+    const { sizes } = account.webdavCache;
+    const key = `${songId}:${config.quality}`;
+    if (!sizes[key]) sizes[key] = { size: null, type: '', served: {}, timestamp: Date.now() };
+    if (sizes[key].served[ext] === size) return;
+    sizes[key].served[ext] = size;
+    invalidateSongListings(account, songId);
+    saveCache(account);
+}
+
+// Drops the cached listings a song (or its .lrc) is listed in, so they pick up new sizes
+function invalidateSongListings(account, songId) {
+    const { propfind } = account.webdavCache;
+    for (const [p, id] of account.songPathMap.entries()) {
+        if (String(id) !== String(songId)) continue;
+        let dirPath = path.dirname(p);
+        // Songs in _unavailable are cached as part of the parent listing
+        if (path.basename(dirPath) === UNAVAILABLE_DIR) dirPath = path.dirname(dirPath);
+        delete propfind[dirPath];
+    }
+}
+
+// Song details for a listing, with their sizes resolved
+async function getListedSongs(account, ids) {
+    const details = await getSongsDetails(account, ids);
+    await resolveSizes(account, details.map(s => ({ id: s.id, picUrl: s.picUrl })));
+    return details;
+}
+
+async function getAlbum(account, albumId) {
+    const { webdavCache } = account;
+    const cached = webdavCache.albums[albumId];
+    if (cached && Date.now() - cached.timestamp < config.metadataTTL) return cached;
+
+    const albumRes = await api.album({ id: albumId, cookie: account.cookie });
+    const al = albumRes.body.album;
+    const album = {
+        id: al.id,
+        name: al.name,
+        artist: al.artist ? al.artist.name : '',
+        picUrl: al.picUrl,
+        publishTime: al.publishTime,
+        trackIds: (albumRes.body.songs || []).map(s => s.id),
+        timestamp: Date.now(),
+    };
+    webdavCache.albums[albumId] = album;
+    saveCache(account);
+    return album;
+}
+
+// Images are sized with a HEAD request the first time they are listed; `key` is
+// the folder for folder.jpg or the image path for sidecar images
+async function getImageSize(account, key, picUrl) {
+    const { covers } = account.webdavCache;
+    let cover = covers[key];
+    if (!cover || cover.url !== picUrl) {
+        let size = 0;
+        try {
+            const headRes = await axios.head(picUrl, { timeout: 5000 });
+            size = parseInt(headRes.headers['content-length'], 10) || 0;
+        } catch (e) {
+            logger.error(`Error sizing image for ${key}`, e.message);
         }
-        handlePropfind(req, res, urlPath);
-        return;
+        cover = { url: picUrl, size };
+        covers[key] = cover;
     }
+    return cover.size;
+}
 
-    if (method === 'GET' || method === 'HEAD') {
-        handleGet(req, res, urlPath, method === 'HEAD');
-        return;
+// Cover art for a folder
+async function pushFolderCover(account, resources, dirPath, picUrl, mtime) {
+    if (!picUrl) return;
+    resources.push({ name: 'folder.jpg', type: 'file', size: await getImageSize(account, dirPath, picUrl), mtime });
+}
+
+// Folder names for a list, with the id appended when two items would collide.
+// With `maxLength` the names are cut to fit it, appended id included.
+function nameItems(items, getName, maxLength) {
+    const fit = (name, room) => (maxLength ? limitName(name, room) : name);
+    const counts = {};
+    items.forEach(item => {
+        const name = fit(getName(item), maxLength);
+        counts[name] = (counts[name] || 0) + 1;
+    });
+    return items.map(item => {
+        const name = getName(item);
+        if (counts[fit(name, maxLength)] <= 1) return { name: fit(name, maxLength), item };
+        const suffix = ` (${item.id})`;
+        return { name: fit(name, maxLength - suffix.length) + suffix, item };
+    });
+}
+
+async function fetchAllPages(fetchPage) {
+    const items = [];
+    for (let offset = 0; offset < 1000; offset += 100) {
+        const { list, more } = await fetchPage(offset);
+        items.push(...list);
+        if (!more || list.length === 0) break;
     }
+    return items;
+}
 
-    if (method === 'COPY' || method === 'MOVE') {
-        handleCopyMove(req, res, urlPath);
-        return;
+async function getCachedList(account, key, fetcher) {
+    const { lists } = account.webdavCache;
+    const cached = lists[key];
+    if (cached && Date.now() - cached.timestamp < config.refreshInterval) return cached.data;
+    const data = await fetcher();
+    lists[key] = { data, timestamp: Date.now() };
+    saveCache(account);
+    return data;
+}
+
+function getSubAlbums(account) {
+    return getCachedList(account, 'subAlbums', () => fetchAllPages(async (offset) => {
+        const res = await api.album_sublist({ limit: 100, offset, cookie: account.cookie });
+        return {
+            list: (res.body.data || []).map(a => ({
+                id: a.id,
+                name: a.name,
+                artist: (a.artists || []).map(ar => ar.name).join(','),
+                picUrl: a.picUrl,
+                subTime: a.subTime,
+            })),
+            more: res.body.hasMore,
+        };
+    }));
+}
+
+function getSubArtists(account) {
+    return getCachedList(account, 'subArtists', () => fetchAllPages(async (offset) => {
+        const res = await api.artist_sublist({ limit: 100, offset, cookie: account.cookie });
+        return {
+            list: (res.body.data || []).map(a => ({ id: a.id, name: a.name, picUrl: a.picUrl || a.img1v1Url })),
+            more: res.body.hasMore,
+        };
+    }));
+}
+
+function getArtistAlbums(account, artistId) {
+    return getCachedList(account, `artistAlbums_${artistId}`, () => fetchAllPages(async (offset) => {
+        const res = await api.artist_album({ id: artistId, limit: 100, offset, cookie: account.cookie });
+        return {
+            list: (res.body.hotAlbums || []).map(a => ({ id: a.id, name: a.name, picUrl: a.picUrl, publishTime: a.publishTime })),
+            more: res.body.more,
+        };
+    }));
+}
+
+async function getUserPlaylists(account) {
+    const { webdavCache } = account;
+    const now = Date.now();
+    if (webdavCache.userPlaylists && (now - webdavCache.userPlaylists.timestamp < config.refreshInterval)) {
+        return webdavCache.userPlaylists.data;
     }
+    const profileRes = await api.login_status({ cookie: account.cookie });
+    const uid = profileRes.body.data.profile.userId;
+    const playlistsRes = await api.user_playlist({ uid, cookie: account.cookie, limit: 1000 });
+    const playlists = playlistsRes.body.playlist;
+    webdavCache.userPlaylists = { data: playlists, timestamp: now };
+    saveCache(account);
+    return playlists;
+}
 
-    res.status(405).send('Method Not Allowed');
-});
+// Finds a playlist under 我的歌单 by folder name; subscribed playlists are listed but not editable
+async function findUserPlaylist(account, playlistName) {
+    const playlist = (await getUserPlaylists(account)).find(p => cleanName(p.name) === playlistName);
+    if (!playlist) return null;
+    const profile = await getProfile(account);
+    return { playlist, owned: !!profile && playlist.userId === profile.userId };
+}
 
-async function handleCopyMove(req, res, urlPath) {
-    const destination = req.get('Destination');
-    if (!destination) {
-        res.status(400).send('Destination header missing');
-        return;
+const PLAYLIST_DIR_RE = /^\/我的歌单\/([^/]+)$/;
+const PLAYLIST_SONG_RE = /^\/我的歌单\/([^/]+)\/(?:_unavailable\/)?[^/]+$/;
+const PLAYLIST_DELETE_CONFIRM_TTL = 60 * 1000;
+const pendingPlaylistDeletes = new Map(); // `${account}:${playlistId}` -> first DELETE time
+
+function invalidatePlaylist(account, playlistId, playlistName) {
+    const { webdavCache } = account;
+    const dirPath = '/我的歌单/' + playlistName;
+    Object.keys(webdavCache.propfind).forEach(p => {
+        if (p === '/我的歌单' || p === dirPath || p.startsWith(dirPath + '/')) delete webdavCache.propfind[p];
+    });
+    delete webdavCache.playlists[playlistId];
+    if (webdavCache.userPlaylists) webdavCache.userPlaylists.timestamp = 0;
+    saveCache(account);
+}
+
+// util/request rejects with the upstream answer when NetEase reports an error, so
+// failed writes land in the handlers' catch blocks: upstream errors are a 502
+// carrying NetEase's message, anything else is ours and a 500
+function sendWriteError(res, e, action) {
+    const upstream = !!(e && e.body && e.body.code !== undefined);
+    logger.error(`${action} error:`, upstream ? e.body : e);
+    if (upstream) {
+        res.status(502).send(`${action} failed: ${e.body.message || e.body.msg || `code ${e.body.code}`}`);
+    } else {
+        res.status(500).send('Internal Server Error');
     }
+}
 
-    try {
-        const destPath = decodeURIComponent(new URL(destination, `http://${req.headers.host}`).pathname).replace(/\/$/, '');
+// playlist_tracks wraps the upstream response in its body, other modules return it directly
+function getResultCode(result) {
+    const body = result && result.body;
+    if (!body) return undefined;
+    return body.body && body.body.code !== undefined ? body.body.code : body.code;
+}
 
-        // Check if destination is in "我的歌单"
-        const match = destPath.match(/^\/我的歌单\/([^/]+)/);
-        if (!match) {
-            res.status(403).send('Only copying/moving to "我的歌单" is supported for favorite logic');
-            return;
-        }
+// Track list of a playlist, fetched again once `isStale(cached)` says so
+async function getPlaylistDetail(account, playlist, isStale = cached => Date.now() - cached.timestamp > config.refreshInterval) {
+    const { webdavCache } = account;
+    let cachedPlaylist = webdavCache.playlists[playlist.id];
+    if (!cachedPlaylist || isStale(cachedPlaylist)) {
+        const detailRes = await api.playlist_detail({ id: playlist.id, cookie: account.cookie });
+        const trackIds = detailRes.body.playlist.trackIds.map(t => t.id);
+        const trackAtMap = {};
+        detailRes.body.playlist.trackIds.forEach(t => trackAtMap[t.id] = t.at);
+        cachedPlaylist = {
+            name: playlist.name,
+            trackIds,
+            trackAtMap,
+            updateTime: playlist.updateTime || playlist.createTime,
+            timestamp: Date.now()
+        };
+        webdavCache.playlists[playlist.id] = cachedPlaylist;
+        saveCache(account);
+    }
+    return cachedPlaylist;
+}
 
-        const playlistName = match[1];
-        let songId = songPathMap.get(urlPath);
+// Listing of a playlist folder: its songs in playlist order plus the playlist files
+async function listPlaylist(account, dirPath, folderName, cachedPlaylist) {
+    const details = await getListedSongs(account, cachedPlaylist.trackIds);
+    const playlistMtime = new Date(cachedPlaylist.updateTime || todayDate);
+    const resources = [{ name: folderName, type: 'collection', mtime: playlistMtime }];
+
+    const entries = details.map((s, i) => {
+        const mtime = cachedPlaylist.trackAtMap[s.id] ? new Date(cachedPlaylist.trackAtMap[s.id]) : (s.publishTime ? new Date(s.publishTime) : playlistMtime);
+        return { s, filename: pushSongEntries(account, resources, dirPath, s, mtime, { index: i + 1 }) };
+    }).filter(e => e.filename);
+    pushPlaylistFiles(account, resources, dirPath, cachedPlaylist.name, entries, playlistMtime);
+    return resources;
+}
 
-        if (!songId) {
-            // Try fallback search if songId not in map
-            const songMatch = urlPath.match(/\/([^/]+)\s-\s([^/]+)\.(mp3|flac)$/);
-            if (songMatch) {
-                const searchRes = await api.search({ keywords: songMatch[1] + ' ' + songMatch[2], type: 1, cookie: userCookie });
-                if (searchRes.body.result && searchRes.body.result.songs && searchRes.body.result.songs.length > 0) {
-                    songId = searchRes.body.result.songs[0].id;
-                }
+const DAY = 24 * 60 * 60 * 1000;
+const TOPLIST_MIN_RECHECK = 10 * 60 * 1000;
+
+// Charts publish on their own schedule ("每天更新", "每周四更新"...)
+function getChartPeriod(chart) {
+    const frequency = chart.updateFrequency || '';
+    if (frequency.includes('每天')) return DAY;
+    if (frequency.includes('每周')) return 7 * DAY;
+    if (frequency.includes('每月')) return 30 * DAY;
+    return config.refreshInterval;
+}
+
+// The chart list is due again when the first chart is expected to publish its
+// next update; an overdue chart is rechecked every few minutes until it does.
+// toplist already names each chart's cover and schedule; toplist_detail would
+// only add a three-track preview that the folders don't show.
+async function getToplists(account) {
+    const { lists } = account.webdavCache;
+    const now = Date.now();
+    const cached = lists.toplist;
+    if (cached && now < cached.expires) return cached.data;
+
+    const res = await api.toplist({ cookie: account.cookie });
+    const data = (res.body.list || []).map(c => ({
+        id: c.id,
+        name: c.name,
+        coverImgUrl: c.coverImgUrl,
+        updateFrequency: c.updateFrequency,
+        updateTime: c.updateTime,
+    }));
+    // An empty list is rechecked like an overdue chart
+    const nextUpdate = data.length > 0 ? Math.min(...data.map(c => (c.updateTime || 0) + getChartPeriod(c))) : 0;
+    lists.toplist = { data, timestamp: now, expires: Math.max(nextUpdate, now + TOPLIST_MIN_RECHECK) };
+    saveCache(account);
+    return data;
+}
+
+// 私人FM has no end, so each mode folder lists a rolling window: the last few
+// played tracks followed by fmWindowSize upcoming ones. Playing a file moves the
+// window and tops it up in the background; files keep their sequence number
+// ({index}) for the whole session so names stay stable while the window rolls.
+const FM_DIR = '/私人FM';
+const FM_MODES = [
+    { name: '默认', mode: 'DEFAULT' },
+    { name: '熟悉', mode: 'FAMILIAR' },
+    { name: '探索', mode: 'EXPLORE' },
+    { name: '场景-运动', mode: 'SCENE_RCMD', submode: 'EXERCISE' },
+    { name: '场景-专注', mode: 'SCENE_RCMD', submode: 'FOCUS' },
+    { name: '场景-深夜', mode: 'SCENE_RCMD', submode: 'NIGHT_EMO' },
+    { name: 'AI DJ', mode: 'aidj' },
+];
+const FM_HISTORY = 5; // played tracks kept listed behind the current one
+const FM_MAX_FETCHES = 5; // radio requests per refill, each returns a handful of tracks
+
+function getFmState(account, modeName) {
+    if (!account.fm[modeName]) {
+        account.fm[modeName] = { entries: [], position: -1, nextSeq: 1, filling: null };
+    }
+    return account.fm[modeName];
+}
+
+async function fetchFmTracks(account, fmMode) {
+    const res = fmMode.mode === 'DEFAULT'
+        ? await api.personal_fm({ cookie: account.cookie, timestamp: Date.now() })
+        : await api.personal_fm_mode({ mode: fmMode.mode, submode: fmMode.submode, limit: 5, cookie: account.cookie, timestamp: Date.now() });
+    return (res.body.data || []).map(s => s.id);
+}
+
+// Tops the window up to fmWindowSize upcoming tracks; concurrent callers share one refill
+function fillFm(account, fmMode) {
+    const state = getFmState(account, fmMode.name);
+    if (!state.filling) {
+        state.filling = (async () => {
+            for (let i = 0; i < FM_MAX_FETCHES && state.entries.length - state.position - 1 < config.fmWindowSize; i++) {
+                const ids = (await fetchFmTracks(account, fmMode)).filter(id => !state.entries.some(e => e.id === id));
+                if (ids.length === 0) break;
+                ids.forEach(id => state.entries.push({ id, seq: state.nextSeq++ }));
             }
-        }
+        })().finally(() => {
+            state.filling = null;
+        });
+    }
+    return state.filling;
+}
 
-        if (!songId) {
-            res.status(404).send('Source song not found');
-            return;
-        }
+// Called when a client starts playing an FM file
+function advanceFm(account, urlPath, songId) {
+    const fmMode = FM_MODES.find(m => path.dirname(urlPath) === `${FM_DIR}/${m.name}`);
+    if (!fmMode) return;
+    const state = getFmState(account, fmMode.name);
+    const index = state.entries.findIndex(e => e.id === songId);
+    if (index <= state.position) return;
+
+    state.position = index;
+    const dropped = Math.max(0, state.position - FM_HISTORY);
+    state.entries.splice(0, dropped);
+    state.position -= dropped;
+    if (state.entries.length - state.position - 1 < config.fmWindowSize / 2) {
+        fillFm(account, fmMode).catch(e => logger.error('FM refill error:', e));
+    }
+}
 
-        // Find playlist ID
-        const profileRes = await api.login_status({ cookie: userCookie });
-        const uid = profileRes.body.data.profile.userId;
-        const playlistsRes = await api.user_playlist({ uid, cookie: userCookie, limit: 1000 });
-        const playlist = playlistsRes.body.playlist.find(p => cleanName(p.name) === playlistName);
+async function listFm(account, urlPath, fmMode) {
+    const state = getFmState(account, fmMode.name);
+    if (state.entries.length - state.position - 1 < config.fmWindowSize) {
+        await fillFm(account, fmMode);
+    }
+    const details = await getListedSongs(account, state.entries.map(e => e.id));
+    const resources = [{ name: fmMode.name, type: 'collection', mtime: todayDate }];
+    details.forEach(s => {
+        const entry = state.entries.find(e => e.id === s.id);
+        pushSongEntries(account, resources, urlPath, s, todayDate, { index: entry ? entry.seq : undefined });
+    });
+    return resources;
+}
 
-        if (!playlist) {
-            res.status(404).send('Target playlist not found');
-            return;
-        }
+// /搜索/<keywords>/ runs cloudsearch on demand, so any client that lets you type
+// a path can search. Results are kept in memory for a few minutes only.
+const SEARCH_DIR = '/搜索';
+const SEARCH_TTL = 10 * 60 * 1000;
+const SEARCH_TYPES = { songs: 1, albums: 10, artists: 100 };
 
-        logger.info(`Adding song ${songId} to playlist ${playlist.id} (${playlistName})`);
-        const result = await api.playlist_tracks({
-            op: 'add',
-            pid: playlist.id,
-            tracks: songId.toString(),
-            cookie: userCookie
+async function searchCloud(account, keywords, kind) {
+    const now = Date.now();
+    for (const [key, entry] of account.searches) {
+        if (now - entry.timestamp > SEARCH_TTL) account.searches.delete(key);
+    }
+    const key = `${kind}:${keywords}`;
+    const cached = account.searches.get(key);
+    if (cached) return cached.data;
+
+    const res = await api.cloudsearch({ keywords, type: SEARCH_TYPES[kind], limit: config.searchLimit, cookie: account.cookie });
+    const result = res.body.result || {};
+    let data;
+    if (kind === 'songs') {
+        data = (result.songs || []).map(s => s.id);
+    } else if (kind === 'albums') {
+        data = (result.albums || []).map(a => ({
+            id: a.id,
+            name: a.name,
+            artist: a.artist ? a.artist.name : (a.artists || []).map(ar => ar.name).join(','),
+            publishTime: a.publishTime,
+        }));
+    } else {
+        data = (result.artists || []).map(a => ({ id: a.id, name: a.name, picUrl: a.picUrl || a.img1v1Url }));
+    }
+    account.searches.set(key, { data, timestamp: now });
+    return data;
+}
+
+async function listSearch(account, urlPath) {
+    const [keywords, kind, itemName, albumName] = urlPath.substring(SEARCH_DIR.length + 1).split('/');
+    // File managers probe for .DS_Store, desktop.ini and the like; those are not searches
+    if (keywords.startsWith('.') || isOsMetadataFile(keywords)) return [];
+    if (!kind) {
+        const details = await getListedSongs(account, await searchCloud(account, keywords, 'songs'));
+        const resources = [
+            { name: keywords, type: 'collection', mtime: todayDate },
+            { name: '专辑', type: 'collection', mtime: todayDate },
+            { name: '歌手', type: 'collection', mtime: todayDate },
+        ];
+        details.forEach((s, i) => {
+            pushSongEntries(account, resources, urlPath, s, s.publishTime ? new Date(s.publishTime) : todayDate, { index: i + 1 });
         });
+        return resources;
+    }
 
-        if (result.body.code === 200 || result.body.code === 502) { // 502 sometimes means song already in playlist
-            res.status(201).send('Created');
-            // Invalidate cache
-            delete webdavCache.propfind[destPath];
-            delete webdavCache.propfind['/我的歌单/' + playlistName];
-            delete webdavCache.playlists[playlist.id];
-            if (webdavCache.userPlaylists) webdavCache.userPlaylists.timestamp = 0;
-            saveCache();
-        } else {
-            res.status(result.body.code || 500).send(result.body.message || 'Error adding song to playlist');
+    if (kind === '专辑' && !albumName) {
+        const albums = nameItems(await searchCloud(account, keywords, 'albums'), a => `${cleanName(a.name)} - ${cleanName(a.artist)}`);
+        if (!itemName) {
+            const resources = [{ name: kind, type: 'collection', mtime: todayDate }];
+            albums.forEach(({ name, item }) => {
+                resources.push({ name, type: 'collection', mtime: new Date(item.publishTime || todayDate) });
+            });
+            return resources;
         }
+        const album = albums.find(n => n.name === itemName);
+        if (!album) return [];
+        const resources = [{ name: itemName, type: 'collection', mtime: new Date(album.item.publishTime || todayDate) }];
+        await pushAlbumEntries(account, resources, urlPath, album.item.id);
+        return resources;
+    }
 
-    } catch (e) {
-        logger.error('Copy/Move error:', e);
-        res.status(500).send('Internal Server Error');
+    if (kind === '歌手') {
+        const artists = nameItems(await searchCloud(account, keywords, 'artists'), a => cleanName(a.name));
+        if (!itemName) {
+            const resources = [{ name: kind, type: 'collection', mtime: todayDate }];
+            artists.forEach(({ name }) => resources.push({ name, type: 'collection', mtime: todayDate }));
+            return resources;
+        }
+        const artist = artists.find(n => n.name === itemName);
+        return artist ? listArtistFolder(account, urlPath, artist, albumName) : [];
     }
+    return [];
 }
 
-async function handlePropfind(req, res, urlPath) {
-    let resources = [];
-    try {
-        if (urlPath === '/') {
-            resources = [
-                { name: '', type: 'collection', mtime: todayDate },
-                { name: '每日推荐歌曲', type: 'collection', mtime: todayDate },
-                { name: '每日推荐歌单', type: 'collection', mtime: todayDate },
-                { name: '我的歌单', type: 'collection', mtime: todayDate },
-            ];
-        } else if (urlPath === '/每日推荐歌曲') {
-            let songs;
-            const now = Date.now();
-            if (webdavCache.dailySongs && (now - webdavCache.dailySongs.timestamp < config.refreshInterval)) {
-                songs = webdavCache.dailySongs.data;
-            } else {
-                const songsRes = await api.recommend_songs({ cookie: userCookie });
-                songs = songsRes.body.data.dailySongs;
-                webdavCache.dailySongs = { data: songs, timestamp: now };
-                saveCache();
-            }
-            resources = [{ name: '每日推荐歌曲', type: 'collection', mtime: todayDate }];
-
-            const songIds = songs.map(s => s.id);
-            const details = await getSongsDetails(songIds);
-
-            details.forEach(s => {
-                const ext = getExtension(s);
-                const filename = `${cleanName(s.name)} - ${cleanName(s.ar)}${ext}`;
-                const fullPath = `/每日推荐歌曲/${filename}`;
-                const mtime = s.publishTime ? new Date(s.publishTime) : todayDate;
-                resources.push({ name: filename, type: 'file', size: getSongSize(s), mtime });
-                songPathMap.set(fullPath, s.id);
-            });
-        } else if (urlPath === '/每日推荐歌单') {
-            let playlists;
-            const now = Date.now();
-            if (webdavCache.recommendPlaylists && (now - webdavCache.recommendPlaylists.timestamp < config.refreshInterval)) {
-                playlists = webdavCache.recommendPlaylists.data;
-            } else {
-                const resrcRes = await api.recommend_resource({ cookie: userCookie });
-                playlists = resrcRes.body.recommend;
-                webdavCache.recommendPlaylists = { data: playlists, timestamp: now };
-                saveCache();
-            }
-            resources = [{ name: '每日推荐歌单', type: 'collection', mtime: todayDate }];
-            playlists.forEach(p => {
-                resources.push({ name: cleanName(p.name), type: 'collection', mtime: new Date(p.createTime || todayDate) });
-            });
-        } else if (urlPath.startsWith('/每日推荐歌单/')) {
-            const playlistName = urlPath.substring('/每日推荐歌单/'.length);
-            let playlists;
-            const now = Date.now();
-            if (webdavCache.recommendPlaylists && (now - webdavCache.recommendPlaylists.timestamp < config.refreshInterval)) {
-                playlists = webdavCache.recommendPlaylists.data;
-            } else {
-                const resrcRes = await api.recommend_resource({ cookie: userCookie });
-                playlists = resrcRes.body.recommend;
-                webdavCache.recommendPlaylists = { data: playlists, timestamp: now };
-                saveCache();
-            }
-
-            const playlist = playlists.find(p => cleanName(p.name) === playlistName);
-            if (playlist) {
-                let cachedPlaylist = webdavCache.playlists[playlist.id];
-                if (!cachedPlaylist || (now - cachedPlaylist.timestamp > config.refreshInterval)) {
-                    const detailRes = await api.playlist_detail({ id: playlist.id, cookie: userCookie });
-                    const trackIds = detailRes.body.playlist.trackIds.map(t => t.id);
-                    const trackAtMap = {};
-                    detailRes.body.playlist.trackIds.forEach(t => trackAtMap[t.id] = t.at);
-                    cachedPlaylist = {
-                        name: playlist.name,
-                        trackIds,
-                        trackAtMap,
-                        updateTime: playlist.updateTime || playlist.createTime,
-                        timestamp: now
-                    };
-                    webdavCache.playlists[playlist.id] = cachedPlaylist;
-                    saveCache();
-                }
+const CLOUD_DIR = '/云盘';
+const CLOUD_UPLOAD_TYPES = { '.mp3': 'audio/mpeg', '.flac': 'audio/flac' };
+
+function getCloudSongs(account) {
+    return getCachedList(account, 'cloud', () => fetchAllPages(async (offset) => {
+        const res = await api.user_cloud({ limit: 100, offset, cookie: account.cookie });
+        return {
+            list: (res.body.data || []).map(c => ({
+                id: c.songId,
+                fileName: c.fileName || c.songName,
+                fileSize: c.fileSize,
+                picUrl: c.simpleSong && c.simpleSong.al ? c.simpleSong.al.picUrl : null,
+                addTime: c.addTime,
+            })),
+            more: res.body.hasMore,
+        };
+    }));
+}
 
-                const details = await getSongsDetails(cachedPlaylist.trackIds);
-                const playlistMtime = new Date(cachedPlaylist.updateTime || todayDate);
-                resources = [{ name: playlistName, type: 'collection', mtime: playlistMtime }];
-
-                details.forEach(s => {
-                    const ext = getExtension(s);
-                    const filename = `${cleanName(s.name)} - ${cleanName(s.ar)}${ext}`;
-                    const fullPath = `${urlPath}/${filename}`;
-                    const mtime = cachedPlaylist.trackAtMap[s.id] ? new Date(cachedPlaylist.trackAtMap[s.id]) : (s.publishTime ? new Date(s.publishTime) : playlistMtime);
-                    resources.push({ name: filename, type: 'file', size: getSongSize(s), mtime });
-                    songPathMap.set(fullPath, s.id);
-                });
-            }
-        } else if (urlPath === '/我的歌单') {
-            let playlists;
-            const now = Date.now();
-            if (webdavCache.userPlaylists && (now - webdavCache.userPlaylists.timestamp < config.refreshInterval)) {
-                playlists = webdavCache.userPlaylists.data;
-            } else {
-                const profileRes = await api.login_status({ cookie: userCookie });
-                const uid = profileRes.body.data.profile.userId;
-                const playlistsRes = await api.user_playlist({ uid, cookie: userCookie, limit: 1000 });
-                playlists = playlistsRes.body.playlist;
-                webdavCache.userPlaylists = { data: playlists, timestamp: now };
-                saveCache();
-            }
-            resources = [{ name: '我的歌单', type: 'collection', mtime: todayDate }];
-            playlists.forEach(p => {
-                resources.push({ name: cleanName(p.name), type: 'collection', mtime: new Date(p.updateTime || todayDate) });
+// Cloud files keep their uploaded file name so a dragged-in file shows up under the same name
+function getCloudEntries(songs) {
+    return nameItems(songs, c => cleanName(path.parse(c.fileName).name)).map(({ name, item }) => ({
+        name: `${name}${path.extname(item.fileName).toLowerCase() || '.mp3'}`,
+        item,
+    }));
+}
+
+const DJ_DIR = '/我的播客';
+
+function getDjRadios(account) {
+    return getCachedList(account, 'djRadios', () => fetchAllPages(async (offset) => {
+        const res = await api.dj_sublist({ limit: 100, offset, cookie: account.cookie });
+        return {
+            list: (res.body.djRadios || []).map(r => ({
+                id: r.id,
+                name: r.name,
+                dj: r.dj ? r.dj.nickname : '',
+                picUrl: r.picUrl,
+                lastProgramCreateTime: r.lastProgramCreateTime,
+            })),
+            more: res.body.hasMore,
+        };
+    }));
+}
+
+function getDjPrograms(account, radioId) {
+    return getCachedList(account, `djPrograms_${radioId}`, () => fetchAllPages(async (offset) => {
+        const res = await api.dj_program({ rid: radioId, limit: 100, offset, asc: false, cookie: account.cookie });
+        return {
+            list: (res.body.programs || []).map(p => {
+                const music = p.mainSong ? (p.mainSong.hMusic || p.mainSong.mMusic || p.mainSong.lMusic || p.mainSong.bMusic) : null;
+                return {
+                    id: p.id,
+                    mainTrackId: p.mainTrackId || (p.mainSong && p.mainSong.id),
+                    serialNum: p.serialNum,
+                    name: p.name,
+                    description: p.description,
+                    coverUrl: p.coverUrl,
+                    createTime: p.createTime,
+                    size: music ? music.size : 0,
+                };
+            }),
+            more: res.body.more,
+        };
+    }));
+}
+
+// Programs are named `<serial> <date> <name>.mp3` so they sort in broadcast order
+function getProgramEntries(programs) {
+    return nameItems(programs, p => {
+        const d = new Date(p.createTime || todayDate);
+        const date = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+        return `${String(p.serialNum || 0).padStart(3, '0')} ${date} ${cleanName(p.name)}`;
+    }, config.maxFilenameLength - '.mp3'.length).map(({ name, item }) => ({ name: `${name}.mp3`, item }));
+}
+
+// Resolves `/我的播客/<radio>/<file>` to { radio, program }
+async function findProgram(account, urlPath) {
+    const [radioName, fileName] = urlPath.substring(DJ_DIR.length + 1).split('/');
+    const radio = nameItems(await getDjRadios(account), r => cleanName(r.name)).find(n => n.name === radioName);
+    if (!radio) return null;
+    const found = getProgramEntries(await getDjPrograms(account, radio.item.id)).find(e => e.name === fileName);
+    return found ? { radio: radio.item, program: found.item } : null;
+}
+
+const MV_DIR = '/收藏的MV';
+const ARTIST_MV_DIR = 'MV';
+
+// Subscribed MVs and videos; `type` 0 is an MV, 1 a user-uploaded video
+function getSubMvs(account) {
+    return getCachedList(account, 'subMvs', () => fetchAllPages(async (offset) => {
+        const res = await api.mv_sublist({ limit: 100, offset, cookie: account.cookie });
+        return {
+            list: (res.body.data || []).map(v => ({
+                id: v.vid,
+                type: v.type,
+                name: v.title,
+                artist: (v.creator || []).map(c => c.userName).join(','),
+                picUrl: v.coverUrl,
+            })),
+            more: res.body.hasMore,
+        };
+    }));
+}
+
+function getArtistMvs(account, artistId) {
+    return getCachedList(account, `artistMvs_${artistId}`, () => fetchAllPages(async (offset) => {
+        const res = await api.artist_mv({ id: artistId, limit: 100, offset, cookie: account.cookie });
+        return {
+            list: (res.body.mvs || []).map(v => ({
+                id: v.id,
+                type: 0,
+                name: v.name,
+                artist: v.artistName,
+                picUrl: v.imgurl16v9 || v.imgurl,
+                publishTime: v.publishTime ? Date.parse(v.publishTime) : null,
+            })),
+            more: res.body.hasMore,
+        };
+    }));
+}
+
+// Resolves a playable URL; without `resolution` the highest one offered is picked
+async function resolveVideo(account, video, resolution) {
+    const { cookie } = account;
+    if (video.type === 1) {
+        if (!resolution) {
+            const detailRes = await api.video_detail({ id: video.id, cookie });
+            const resolutions = (detailRes.body.data && detailRes.body.data.resolutions) || [];
+            resolution = Math.max(0, ...resolutions.map(r => r.resolution)) || 1080;
+        }
+        const urlRes = await api.video_url({ id: video.id, res: resolution, cookie });
+        const found = urlRes.body.urls && urlRes.body.urls[0];
+        return found && found.url ? { url: found.url, size: found.size, resolution } : null;
+    }
+    if (!resolution) {
+        const detailRes = await api.mv_detail({ mvid: video.id, cookie });
+        const brs = (detailRes.body.data && detailRes.body.data.brs) || [];
+        resolution = Math.max(0, ...brs.map(b => b.br)) || 1080;
+    }
+    const urlRes = await api.mv_url({ id: video.id, r: resolution, cookie });
+    const found = urlRes.body.data;
+    return found && found.url ? { url: found.url, size: found.size, resolution } : null;
+}
+
+// Size and resolution are kept so listings don't resolve every video each time;
+// the URL itself expires and is resolved again on GET
+function getVideoInfo(account, video) {
+    return getCachedList(account, `video_${video.type}_${video.id}`, async () => {
+        const resolved = await resolveVideo(account, video);
+        return resolved ? { size: resolved.size, resolution: resolved.resolution } : null;
+    });
+}
+
+// Lists videos as `<title> - <artist>.mp4`, each with a `.jpg` poster of the same name
+async function pushVideoEntries(account, resources, dirPath, videos) {
+    const { webdavCache } = account;
+    // The .mp4 and .jpg extensions are both four characters long
+    const named = nameItems(videos, v => `${cleanName(v.name)} - ${cleanName(v.artist)}`, config.maxFilenameLength - '.mp4'.length);
+    // Each video takes up to two API calls plus a poster HEAD, so they are resolved ten at a time
+    const resolved = [];
+    for (let i = 0; i < named.length; i += 10) {
+        resolved.push(...await Promise.all(named.slice(i, i + 10).map(async ({ name, item }) => {
+            let info = null;
+            try {
+                info = await getVideoInfo(account, item);
+            } catch (e) {
+                logger.error(`Error resolving video ${item.id}`, e);
+            }
+            const posterSize = info && item.picUrl ? await getImageSize(account, `${dirPath}/${name}.jpg`, item.picUrl) : 0;
+            return { name, item, info, posterSize };
+        })));
+    }
+
+    resolved.forEach(({ name, item, info, posterSize }) => {
+        if (!info) return;
+        const mtime = new Date(item.publishTime || todayDate);
+        webdavCache.videos[`${dirPath}/${name}.mp4`] = { ...item, ...info, mtime: mtime.getTime() };
+        resources.push({ name: `${name}.mp4`, type: 'file', size: info.size, mtime });
+        if (item.picUrl) {
+            webdavCache.videos[`${dirPath}/${name}.jpg`] = { ...item, poster: true, mtime: mtime.getTime() };
+            resources.push({ name: `${name}.jpg`, type: 'file', size: posterSize, mtime });
+        }
+    });
+}
+
+// An artist folder (`{ name, item }` from nameItems) holds its albums and an MV
+// folder; with `albumName` this lists that album (or the MVs) instead
+async function listArtistFolder(account, urlPath, artist, albumName) {
+    // An album called "MV" keeps its id so it can't shadow the MV folder
+    const albums = nameItems(await getArtistAlbums(account, artist.item.id), a => cleanName(a.name) === ARTIST_MV_DIR ? `${ARTIST_MV_DIR} (${a.id})` : cleanName(a.name));
+    if (!albumName) {
+        const resources = [{ name: artist.name, type: 'collection', mtime: todayDate }];
+        await pushFolderCover(account, resources, urlPath, artist.item.picUrl, todayDate);
+        if ((await getArtistMvs(account, artist.item.id)).length > 0) {
+            resources.push({ name: ARTIST_MV_DIR, type: 'collection', mtime: todayDate });
+        }
+        albums.forEach(({ name, item }) => {
+            resources.push({ name, type: 'collection', mtime: new Date(item.publishTime || todayDate) });
+        });
+        return resources;
+    }
+
+    if (albumName === ARTIST_MV_DIR) {
+        const resources = [{ name: ARTIST_MV_DIR, type: 'collection', mtime: todayDate }];
+        await pushVideoEntries(account, resources, urlPath, await getArtistMvs(account, artist.item.id));
+        return resources;
+    }
+
+    const album = albums.find(n => n.name === albumName);
+    if (!album) return [];
+    const resources = [{ name: albumName, type: 'collection', mtime: new Date(album.item.publishTime || todayDate) }];
+    await pushAlbumEntries(account, resources, urlPath, album.item.id);
+    return resources;
+}
+
+// Album folders list their tracks with disc/track numbers so they sort in album order
+async function pushAlbumEntries(account, resources, dirPath, albumId) {
+    const album = await getAlbum(account, albumId);
+    const details = await getListedSongs(account, album.trackIds);
+    const mtime = album.publishTime ? new Date(album.publishTime) : todayDate;
+    const multiDisc = details.some(s => parseInt(s.cd, 10) > 1);
+
+    await pushFolderCover(account, resources, dirPath, album.picUrl, mtime);
+    details.forEach((s, i) => {
+        const no = String(s.no || i + 1).padStart(2, '0');
+        const prefix = multiDisc ? `${parseInt(s.cd, 10) || 1}-${no}. ` : `${no}. `;
+        pushSongEntries(account, resources, dirPath, s, mtime, { prefix, index: i + 1 });
+    });
+}
+
+const CONTENT_TYPES = {
+    '.mp3': 'audio/mpeg',
+    '.flac': 'audio/flac',
+    '.lrc': 'text/plain; charset=utf-8',
+    '.m3u8': 'audio/x-mpegurl',
+    '.xspf': 'application/xspf+xml',
+    '.jpg': 'image/jpeg',
+    '.mp4': 'video/mp4',
+};
+
+function getContentType(name) {
+    return CONTENT_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream';
+}
+
+const WINDOWS_RESERVED_NAME = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+const takenSongNames = new WeakMap(); // resources array -> lower-cased song names already listed in it
+
+// Renders config.filenameTemplate for a song; `index` is its position in the folder
+function formatSongName(s, index) {
+    const values = {
+        title: s.name,
+        artist: s.ar,
+        album: s.al,
+        index,
+        track: s.no,
+        disc: parseInt(s.cd, 10) || 1,
+        year: s.publishTime ? new Date(s.publishTime).getFullYear() : null,
+        id: s.id,
+    };
+    return config.filenameTemplate.replace(/\{(\w+)(?::(\d+))?\}/g, (match, key, width) => {
+        const value = values[key];
+        if (value === undefined || value === null || value === '') return '';
+        const text = cleanName(String(value));
+        return width ? text.padStart(parseInt(width, 10), '0') : text;
+    }).replace(/\[\s*\]|\(\s*\)/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Search keywords for a song file missing from the path map, taken from its name
+// whatever the filenameTemplate: labels, track numbers, clash suffixes and
+// separators are dropped
+function getFallbackKeywords(urlPath) {
+    const match = path.basename(urlPath).match(/^(.+)\.(mp3|flac)$/i);
+    if (!match) return null;
+    const keywords = match[1]
+        .replace(/^\d+(-\d+)?\. /, '')
+        .replace(/^\[(试听|不可用)\] /, '')
+        .replace(/ \(\d+(-\d+)?\)$/, '')
+        .replace(/ - |[[\]()]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return keywords || null;
+}
+
+// Keeps names valid on Windows: bounded length, no trailing dots or spaces, no device names
+function limitName(name, maxLength) {
+    let result = '';
+    for (const ch of name) {
+        if (result.length + ch.length > maxLength) break;
+        result += ch;
+    }
+    result = result.replace(/[. ]+$/, '') || 'Unknown';
+    return WINDOWS_RESERVED_NAME.test(result) ? `_${result}` : result;
+}
+
+const UNAVAILABLE_DIR = '_unavailable';
+const UNAVAILABLE_LABELS = { trial: '[试听] ', unavailable: '[不可用] ' };
+const TRIAL_DURATION = 30 * 1000;
+
+// 'ok', 'trial' (only a clip is served) or 'unavailable' (nothing is), from the
+// song_detail privilege. With unblock on, only songs no source matched count.
+function getAvailability(account, s) {
+    const p = s.privilege;
+    if (!p || p.pl > 0) return 'ok';
+    if (config.unblock) {
+        const match = account.webdavCache.unblocked[s.id];
+        if (!match || match.source) return 'ok';
+    }
+    return p.st >= 0 && [1, 4].includes(p.fee) ? 'trial' : 'unavailable';
+}
+
+// Size listed for a song under extension `ext`. Until song_url_v1 resolved it, it
+// is estimated: trial clips are cut from the full track, unavailable songs are never served.
+function getServedSize(account, s, ext) {
+    const resolved = getResolvedSize(account, s.id, s.picUrl, ext);
+    if (resolved !== null) return resolved;
+    const availability = getAvailability(account, s);
+    if (availability === 'unavailable') return 0;
+    const size = getSongSize(s);
+    if (availability === 'trial' && s.dt) return Math.round(size * Math.min(TRIAL_DURATION, s.dt) / s.dt);
+    return size;
+}
+
+// Lists a song as its audio file plus, when enabled, a sidecar .lrc. Names are
+// unique within `resources` (case-insensitively, for Windows): a clash gets the
+// song id appended. `options.index` is the 1-based position for {index}.
+// Returns the file name relative to `dirPath`, or null when the song is hidden.
+function pushSongEntries(account, resources, dirPath, s, mtime, options = {}) {
+    const availability = getAvailability(account, s);
+    const mode = availability === 'ok' ? 'show' : config.unavailableTracks;
+    if (mode === 'hide') return null;
+    const label = mode === 'prefix' ? UNAVAILABLE_LABELS[availability] : '';
+    // Moved songs stay in this listing, flagged with the subfolder getResources lists them in
+    const folder = mode === 'subfolder' ? UNAVAILABLE_DIR : null;
+    const entryDir = folder ? `${dirPath}/${folder}` : dirPath;
+
+    // The album track prefix is redundant when the template numbers entries itself
+    const prefix = config.filenameTemplate.includes('{index') ? '' : (options.prefix || '');
+    const stem = prefix + label + formatSongName(s, options.index);
+    // maxFilenameLength bounds the whole file name, clash suffix and extension included
+    const ext = getExtension(s);
+    const maxLength = config.maxFilenameLength - ext.length;
+    if (!takenSongNames.has(resources)) takenSongNames.set(resources, new Set());
+    const taken = takenSongNames.get(resources);
+    let name = limitName(stem, maxLength);
+    for (let n = 1; taken.has(name.toLowerCase()); n++) {
+        const suffix = ` (${s.id}${n > 1 ? `-${n}` : ''})`;
+        name = limitName(stem, maxLength - suffix.length) + suffix;
+    }
+    taken.add(name.toLowerCase());
+
+    const filename = `${name}${ext}`;
+    resources.push({ name: filename, type: 'file', size: getServedSize(account, s, ext), mtime, ...(folder && { folder }) });
+    account.songPathMap.set(`${entryDir}/${filename}`, s.id);
+
+    if (config.lrcFiles) {
+        const lrcName = getLrcName(filename);
+        resources.push({ name: lrcName, type: 'file', size: getLrcSize(account, s), mtime, ...(folder && { folder }) });
+        account.songPathMap.set(`${entryDir}/${lrcName}`, s.id);
+    }
+    return folder ? `${folder}/${filename}` : filename;
+}
+
+// Generated text files are kept in the cache so a GET after a restart still
+// finds them even when the PROPFIND that created them is served from cache
+function pushTextFile(account, resources, dirPath, name, content, mtime) {
+    account.webdavCache.textFiles[`${dirPath}/${name}`] = { content, mtime: mtime.getTime() };
+    resources.push({ name, type: 'file', size: Buffer.byteLength(content), mtime });
+}
+
+// Playlist files keep the NetEase track order, with paths relative to the folder.
+// `entries` is [{ s, filename }] in playlist order.
+function pushPlaylistFiles(account, resources, dirPath, title, entries, mtime) {
+    const formats = config.playlistFiles || [];
+    if (formats.includes('m3u8')) {
+        const lines = ['#EXTM3U', `#PLAYLIST:${title}`];
+        entries.forEach(({ s, filename }) => {
+            lines.push(`#EXTINF:${Math.round((s.dt || 0) / 1000) || -1},${s.ar} - ${s.name}`, filename);
+        });
+        pushTextFile(account, resources, dirPath, 'playlist.m3u8', lines.join('\n') + '\n', mtime);
+    }
+    if (formats.includes('xspf')) {
+        const builder = new xml2js.Builder({ rootName: 'playlist', xmldec: { version: '1.0', encoding: 'UTF-8' } });
+        const xml = builder.buildObject({
+            $: { version: '1', xmlns: 'http://xspf.org/ns/0/' },
+            title,
+            trackList: {
+                track: entries.map(({ s, filename }) => ({
+                    location: encodeHref(filename),
+                    title: s.name,
+                    creator: s.ar,
+                    album: s.al,
+                    ...(s.dt ? { duration: s.dt } : {}),
+                })),
+            },
+        });
+        pushTextFile(account, resources, dirPath, 'playlist.xspf', xml, mtime);
+    }
+}
+
+// Lyrics are only fetched when an .lrc is read, so listings use the real size
+// when the lyric is already cached and an estimate otherwise. Fetching a lyric
+// drops the listings that estimated it.
+const LRC_SIZE_ESTIMATE = 4096;
+
+function getLrcName(filename) {
+    return filename.replace(/\.[^.]+$/, '') + '.lrc';
+}
+
+function getLrcSize(account, s) {
+    const lyrics = account.webdavCache.lyrics[s.id];
+    if (!lyrics || lyrics.variant !== config.lyricVariant) return LRC_SIZE_ESTIMATE;
+    return Buffer.byteLength(buildLrc(s, lyrics));
+}
+
+async function getLyrics(account, songId) {
+    const { webdavCache } = account;
+    const cached = webdavCache.lyrics[songId];
+    if (cached && cached.variant === config.lyricVariant && Date.now() - cached.timestamp < config.metadataTTL) {
+        return cached;
+    }
+
+    const lyricRes = config.lyricVariant === 'yrc'
+        ? await api.lyric_new({ id: songId, cookie: account.cookie })
+        : await api.lyric({ id: songId, cookie: account.cookie });
+    const body = lyricRes.body || {};
+    const pick = (key) => (body[key] && body[key].lyric) || '';
+    const lyrics = {
+        variant: config.lyricVariant,
+        lrc: pick('lrc'),
+        tlyric: pick('tlyric'),
+        romalrc: pick('romalrc'),
+        yrc: pick('yrc'),
+        ytlrc: pick('ytlrc'),
+        yromalrc: pick('yromalrc'),
+        timestamp: Date.now(),
+    };
+    webdavCache.lyrics[songId] = lyrics;
+    invalidateSongListings(account, songId);
+    saveCache(account);
+    return lyrics;
+}
+
+function formatLrcTime(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    const centis = Math.floor((ms % 1000) / 10);
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(centis).padStart(2, '0')}`;
+}
+
+// [{ time, text }] from LRC text; lines with several time tags are expanded
+function parseLrc(text) {
+    const lines = [];
+    const tagRe = /^\[(\d+):(\d+)(?:[.:](\d+))?\]/;
+    (text || '').split(/\r?\n/).forEach(raw => {
+        let rest = raw.trim();
+        const times = [];
+        let match;
+        while ((match = tagRe.exec(rest))) {
+            const fraction = match[3] ? parseInt(match[3].padEnd(3, '0').slice(0, 3), 10) : 0;
+            times.push(parseInt(match[1], 10) * 60000 + parseInt(match[2], 10) * 1000 + fraction);
+            rest = rest.slice(match[0].length);
+        }
+        times.forEach(time => lines.push({ time, text: rest.trim() }));
+    });
+    return lines.sort((a, b) => a.time - b.time);
+}
+
+// [{ time, text, words }] from NetEase yrc: `[start,duration](wordStart,wordDuration,0)word...`
+function parseYrc(text) {
+    const lines = [];
+    (text || '').split(/\r?\n/).forEach(raw => {
+        const match = /^\[(\d+),(\d+)\](.*)$/.exec(raw.trim());
+        if (!match) return;
+        const parts = match[3].split(/\((\d+),\d+,\d+\)/);
+        const words = [];
+        for (let i = 1; i < parts.length; i += 2) {
+            words.push({ time: parseInt(parts[i], 10), text: parts[i + 1] });
+        }
+        lines.push({ time: parseInt(match[1], 10), text: words.map(w => w.text).join(''), words });
+    });
+    return lines;
+}
+
+// Timed lines in output order: every original line followed by the enabled
+// translation/romanization lines, which share its timestamp
+function getLyricLines(lyrics) {
+    const useYrc = config.lyricVariant === 'yrc' && lyrics.yrc;
+    const lines = useYrc ? parseYrc(lyrics.yrc) : parseLrc(lyrics.lrc);
+
+    const extras = [];
+    if (config.lyricTranslation) extras.push(parseLrc(useYrc ? lyrics.ytlrc || lyrics.tlyric : lyrics.tlyric));
+    if (config.lyricRomanization) extras.push(parseLrc(useYrc ? lyrics.yromalrc || lyrics.romalrc : lyrics.romalrc));
+
+    const result = [];
+    lines.forEach(line => {
+        result.push(line);
+        extras.forEach(list => {
+            const extra = list.find(l => Math.abs(l.time - line.time) < 100);
+            if (extra && extra.text) result.push({ time: line.time, text: extra.text });
+        });
+    });
+    return result;
+}
+
+function buildLrc(s, lyrics) {
+    const out = [`[ti:${s.name || ''}]`, `[ar:${s.ar || ''}]`, `[al:${s.al || ''}]`];
+    getLyricLines(lyrics).forEach(line => {
+        const text = line.words ? line.words.map(w => `<${formatLrcTime(w.time)}>${w.text}`).join('') : line.text;
+        out.push(`[${formatLrcTime(line.time)}]${text}`);
+    });
+    return out.join('\n') + '\n';
+}
+
+// HTTP authentication for WebDAV clients. Digest is offered first because the
+// Windows mini-redirector refuses Basic over plain HTTP.
+const WRITE_METHODS = ['PUT', 'DELETE', 'COPY', 'MOVE', 'MKCOL', 'PROPPATCH', 'LOCK', 'UNLOCK'];
+const NONCE_TTL = 5 * 60 * 1000;
+const nonceSecret = crypto.randomBytes(32);
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a || '');
+    const bufB = Buffer.from(b || '');
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function createNonce() {
+    const timestamp = Date.now().toString();
+    const signature = crypto.createHmac('sha256', nonceSecret).update(timestamp).digest('hex');
+    return Buffer.from(`${timestamp}:${signature}`).toString('base64');
+}
+
+// Returns 'valid', 'stale' or 'invalid'
+function checkNonce(nonce) {
+    const [timestamp, signature] = Buffer.from(nonce || '', 'base64').toString().split(':');
+    const expected = crypto.createHmac('sha256', nonceSecret).update(timestamp || '').digest('hex');
+    if (!safeEqual(signature, expected)) return 'invalid';
+    return Date.now() - parseInt(timestamp, 10) > NONCE_TTL ? 'stale' : 'valid';
+}
+
+function parseDigestParams(header) {
+    const params = {};
+    const re = /(\w+)=(?:"((?:[^"\\]|\\.)*)"|([^,\s]*))/g;
+    let match;
+    while ((match = re.exec(header))) {
+        params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+    }
+    return params;
+}
+
+function safeDecode(str) {
+    try {
+        return decodeURIComponent(str);
+    } catch (e) {
+        return str;
+    }
+}
+
+// Resolves the request's credentials to a configured user.
+// Returns { user } on success, or { stale: true } for an expired digest nonce.
+function authenticate(req) {
+    const header = req.get('Authorization') || '';
+    const scheme = header.split(' ')[0].toLowerCase();
+
+    if (scheme === 'basic' && config.authType !== 'digest') {
+        const decoded = Buffer.from(header.slice(6).trim(), 'base64').toString('utf-8');
+        const sep = decoded.indexOf(':');
+        if (sep < 0) return {};
+        const username = decoded.slice(0, sep);
+        const user = config.users.find(u => u.username === username);
+        if (user && safeEqual(digestHA1(username, decoded.slice(sep + 1)), user.passwordHash)) return { user };
+        return {};
+    }
+
+    if (scheme === 'digest' && config.authType !== 'basic') {
+        const params = parseDigestParams(header.slice(7));
+        const user = config.users.find(u => u.username === params.username);
+        if (!user || !params.nonce || !params.response) return {};
+        if (params.algorithm && params.algorithm.toUpperCase() !== 'MD5') return {};
+        // Clients disagree on how much of the URI they percent-encode
+        if (safeDecode(params.uri || '') !== safeDecode(req.originalUrl)) return {};
+
+        const ha2 = md5(`${req.method}:${params.uri}`);
+        const expected = params.qop
+            ? md5(`${user.passwordHash}:${params.nonce}:${params.nc}:${params.cnonce}:${params.qop}:${ha2}`)
+            : md5(`${user.passwordHash}:${params.nonce}:${ha2}`);
+        if (!safeEqual(params.response.toLowerCase(), expected)) return {};
+
+        const nonceState = checkNonce(params.nonce);
+        if (nonceState === 'stale') return { stale: true };
+        return nonceState === 'valid' ? { user } : {};
+    }
+
+    return {};
+}
+
+function sendAuthChallenge(res, stale) {
+    const challenges = [];
+    if (config.authType !== 'basic') {
+        challenges.push(`Digest realm="${config.authRealm}", qop="auth", algorithm=MD5, nonce="${createNonce()}", opaque="${md5(config.authRealm)}"${stale ? ', stale=true' : ''}`);
+    }
+    if (config.authType !== 'digest') {
+        challenges.push(`Basic realm="${config.authRealm}", charset="UTF-8"`);
+    }
+    res.status(401).set('WWW-Authenticate', challenges).send('Authentication required');
+}
+
+// In-memory write locks (WebDAV class 2). Nothing here is actually exclusive on
+// the NetEase side; locks only exist so Finder and the Windows mini-redirector
+// mount the drive writable and get consistent answers while they copy.
+const LOCK_DEFAULT_TIMEOUT = 600; // seconds
+const LOCK_MAX_TIMEOUT = 3600;
+const locks = new Map(); // token -> { token, account, path, depth, scope, owner, timeout, expires }
+
+function getActiveLocks(account) {
+    const now = Date.now();
+    const active = [];
+    for (const [token, lock] of locks) {
+        if (lock.expires <= now) {
+            locks.delete(token);
+        } else if (lock.account === account.name) {
+            active.push(lock);
+        }
+    }
+    return active;
+}
+
+// Locks on `p` itself, on an ancestor locked with depth infinity, and with `deep` also locks below `p`
+function findLocks(account, p, deep) {
+    const prefix = p === '/' ? '/' : p + '/';
+    return getActiveLocks(account).filter(lock =>
+        lock.path === p
+        || (lock.depth === 'infinity' && (lock.path === '/' || p.startsWith(lock.path + '/')))
+        || (deep && lock.path.startsWith(prefix)));
+}
+
+function parseTimeout(header) {
+    const match = /Second-(\d+)/i.exec(header || '');
+    if (match) return Math.min(parseInt(match[1], 10), LOCK_MAX_TIMEOUT);
+    return /Infinite/i.test(header || '') ? LOCK_MAX_TIMEOUT : LOCK_DEFAULT_TIMEOUT;
+}
+
+// Lock tokens submitted in the If header. Resource tags and Not conditions are
+// not evaluated: a request may touch a locked path if it names one of its tokens.
+function getIfTokens(req) {
+    return (req.get('If') || '').match(/opaquelocktoken:[^>\s]+/g) || [];
+}
+
+// Sends 423 and returns false if one of `paths` is locked by a token the request didn't submit
+function checkLocks(req, res, account, paths, deep) {
+    const tokens = getIfTokens(req);
+    for (const p of paths) {
+        const blocking = findLocks(account, p, deep).find(lock => !tokens.includes(lock.token));
+        if (blocking) {
+            res.status(423).send('Locked');
+            return false;
+        }
+    }
+    return true;
+}
+
+function getDestinationPath(req) {
+    const destination = req.get('Destination');
+    if (!destination) return null;
+    return decodeURIComponent(new URL(destination, `http://${req.headers.host}`).pathname).replace(/\/$/, '') || '/';
+}
+
+// Resolves with the request body, or null when it runs past `maxBytes` (the
+// rest is read and dropped so the client still gets the response)
+function readBody(req, maxBytes = Infinity) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let length = 0;
+        req.on('data', chunk => {
+            length += chunk.length;
+            if (length > maxBytes) chunks = null;
+            if (chunks) chunks.push(chunk);
+        });
+        req.on('end', () => resolve(chunks && Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+app.use(async (req, res) => {
+    const method = req.method;
+    const urlPath = decodeURIComponent(req.path).replace(/\/$/, '') || '/';
+
+    // OPTIONS stays open so clients can discover the server before sending credentials
+    if (method === 'OPTIONS') {
+        res.set({
+            'Allow': 'OPTIONS, PROPFIND, PROPPATCH, GET, HEAD, PUT, DELETE, MKCOL, COPY, MOVE, LOCK, UNLOCK',
+            'DAV': '1, 2',
+            'MS-Author-Via': 'DAV',
+        }).status(200).send();
+        return;
+    }
+
+    if (config.users.length > 0) {
+        const auth = authenticate(req);
+        if (!auth.user) {
+            sendAuthChallenge(res, auth.stale);
+            return;
+        }
+        if (auth.user.readOnly && WRITE_METHODS.includes(method)) {
+            res.status(403).send('Read-only user');
+            return;
+        }
+        req.webdavUser = auth.user;
+    }
+    const account = accounts.get(getAccountName(req.webdavUser));
+
+    if (urlPath === ACCOUNT_PAGE || urlPath.startsWith(ACCOUNT_PAGE + '/')) {
+        handleAccountPage(req, res, urlPath, account);
+        return;
+    }
+
+    if (!(await checkLogin(account))) {
+        if (method === 'GET' && req.accepts(['html', 'audio/*', 'image/*']) === 'html') {
+            res.redirect(ACCOUNT_PAGE);
+            return;
+        }
+        res.status(401).send(`Unauthorized. Please log in at ${ACCOUNT_PAGE} or scan the QR code in the server console.`);
+        return;
+    }
+
+    if (method === 'PROPFIND') {
+        handlePropfind(req, res, urlPath, account);
+        return;
+    }
+
+    if (method === 'GET' || method === 'HEAD') {
+        handleGet(req, res, urlPath, account, method === 'HEAD');
+        return;
+    }
+
+    if (method === 'LOCK') {
+        handleLock(req, res, urlPath, account);
+        return;
+    }
+
+    if (method === 'UNLOCK') {
+        handleUnlock(req, res, urlPath, account);
+        return;
+    }
+
+    // Everything below modifies something: the request must hold any lock on it
+    const lockedPaths = method === 'COPY' ? [] : [urlPath];
+    if (method === 'COPY' || method === 'MOVE') {
+        const destPath = getDestinationPath(req);
+        if (destPath) lockedPaths.push(destPath);
+    }
+    if (WRITE_METHODS.includes(method) && !checkLocks(req, res, account, lockedPaths, method === 'DELETE' || method === 'MOVE')) {
+        return;
+    }
+
+    if (method === 'PROPPATCH') {
+        handleProppatch(req, res, urlPath, account);
+        return;
+    }
+
+    if (method === 'COPY' || method === 'MOVE') {
+        handleCopyMove(req, res, urlPath, account);
+        return;
+    }
+
+    if (method === 'PUT') {
+        handlePut(req, res, urlPath, account);
+        return;
+    }
+
+    if (method === 'DELETE') {
+        handleDelete(req, res, urlPath, account);
+        return;
+    }
+
+    if (method === 'MKCOL') {
+        handleMkcol(req, res, urlPath, account);
+        return;
+    }
+
+    res.status(405).send('Method Not Allowed');
+});
+
+// Small web UI for headless setups: QR login, login state and logout
+async function handleAccountPage(req, res, urlPath, account) {
+    const action = urlPath.substring(ACCOUNT_PAGE.length);
+    const readOnly = !!(req.webdavUser && req.webdavUser.readOnly);
+    try {
+        if (req.method === 'GET' && action === '') {
+            res.sendFile(path.join(__dirname, 'public', 'webdav_account.html'));
+            return;
+        }
+
+        if (req.method === 'GET' && action === '/status') {
+            const qr = account.qrLogin;
+            if (qr) {
+                await checkQrLogin(account);
+            }
+            const profile = await getProfile(account);
+            res.json({
+                account: account.name,
+                readOnly,
+                loggedIn: !!profile,
+                nickname: profile ? profile.nickname : null,
+                avatarUrl: profile ? profile.avatarUrl : null,
+                userId: profile ? profile.userId : null,
+                qr: qr ? { image: qr.image, status: qr.status, message: qr.message } : null,
+            });
+            return;
+        }
+
+        if (req.method === 'POST' && (action === '/qr' || action === '/logout')) {
+            if (!req.get(ACCOUNT_REQUEST_HEADER)) {
+                res.status(403).json({ message: `Missing ${ACCOUNT_REQUEST_HEADER} header` });
+                return;
+            }
+            if (readOnly) {
+                res.status(403).json({ message: 'Read-only user' });
+                return;
+            }
+            if (action === '/logout') {
+                await logout(account);
+                res.json({ loggedIn: false });
+                return;
+            }
+            const qr = await startQrLogin(account);
+            res.json({ qr: { image: qr.image, status: qr.status, message: qr.message } });
+            return;
+        }
+
+        res.status(404).send('Not Found');
+    } catch (e) {
+        logger.error('Account page error:', e);
+        res.status(500).json({ message: 'Internal Server Error' });
+    }
+}
+
+async function handleCopyMove(req, res, urlPath, account) {
+    const { songPathMap } = account;
+    const destPath = getDestinationPath(req);
+    if (!destPath) {
+        res.status(400).send('Destination header missing');
+        return;
+    }
+
+    try {
+
+        if (PLAYLIST_DIR_RE.test(urlPath)) {
+            await handlePlaylistRename(req, res, urlPath, destPath, account);
+            return;
+        }
+
+        // Check if destination is in "我的歌单"
+        const match = destPath.match(/^\/我的歌单\/([^/]+)/);
+        if (!match) {
+            res.status(403).send('Only copying/moving to "我的歌单" is supported for favorite logic');
+            return;
+        }
+
+        const playlistName = match[1];
+        let songId = songPathMap.get(urlPath);
+
+        if (!songId) {
+            // Try fallback search if songId not in map
+            const keywords = getFallbackKeywords(urlPath);
+            if (keywords) {
+                const searchRes = await api.search({ keywords, type: 1, cookie: account.cookie });
+                if (searchRes.body.result && searchRes.body.result.songs && searchRes.body.result.songs.length > 0) {
+                    songId = searchRes.body.result.songs[0].id;
+                }
+            }
+        }
+
+        if (!songId) {
+            res.status(404).send('Source song not found');
+            return;
+        }
+
+        const target = await findUserPlaylist(account, playlistName);
+        if (!target) {
+            res.status(404).send('Target playlist not found');
+            return;
+        }
+        if (!target.owned) {
+            res.status(403).send('Cannot modify a playlist you do not own');
+            return;
+        }
+
+        // A MOVE out of another owned playlist also removes the song from it
+        const sourceMatch = req.method === 'MOVE' ? urlPath.match(PLAYLIST_SONG_RE) : null;
+        const source = sourceMatch ? await findUserPlaylist(account, sourceMatch[1]) : null;
+        if (source && !source.owned) {
+            res.status(403).send('Cannot modify a playlist you do not own');
+            return;
+        }
+        if (source && source.playlist.id === target.playlist.id) {
+            res.status(403).send('Songs can only be moved between playlists');
+            return;
+        }
+
+        logger.info(`Adding song ${songId} to playlist ${target.playlist.id} (${playlistName})`);
+        const result = await api.playlist_tracks({
+            op: 'add',
+            pid: target.playlist.id,
+            tracks: songId.toString(),
+            cookie: account.cookie
+        });
+
+        const code = getResultCode(result);
+        if (code !== 200 && code !== 502) { // 502 sometimes means song already in playlist
+            res.status(code || 500).send(result.body.message || 'Error adding song to playlist');
+            return;
+        }
+        invalidatePlaylist(account, target.playlist.id, playlistName);
+
+        if (source) {
+            logger.info(`Removing song ${songId} from playlist ${source.playlist.id} (${sourceMatch[1]})`);
+            const delResult = await api.playlist_tracks({
+                op: 'del',
+                pid: source.playlist.id,
+                tracks: songId.toString(),
+                cookie: account.cookie
+            });
+            const delCode = getResultCode(delResult);
+            if (delCode !== 200) {
+                // Only undo the add if the song was not already in the target
+                if (code === 200) {
+                    await api.playlist_tracks({ op: 'del', pid: target.playlist.id, tracks: songId.toString(), cookie: account.cookie })
+                        .catch(e => logger.error('Move rollback failed:', e));
+                }
+                sendMultistatusError(res, urlPath, delCode || 500, 'Removing the song from the source playlist failed, the move was rolled back');
+                return;
+            }
+            songPathMap.delete(urlPath);
+            songPathMap.delete(getLrcName(urlPath));
+            moveDeadProps(account, urlPath, destPath);
+            moveDeadProps(account, getLrcName(urlPath), getLrcName(destPath));
+            invalidatePlaylist(account, source.playlist.id, sourceMatch[1]);
+        }
+        res.status(201).send('Created');
+
+    } catch (e) {
+        sendWriteError(res, e, 'Copy/Move');
+    }
+}
+
+// RFC 4918 reports a failed MOVE as a 207 with the status of the affected resource
+function sendMultistatusError(res, href, code, description) {
+    const xmlBuilder = new xml2js.Builder({
+        rootName: 'D:multistatus',
+        xmldec: { version: '1.0', encoding: 'UTF-8' },
+    });
+    const xml = xmlBuilder.buildObject({
+        $: { 'xmlns:D': 'DAV:' },
+        'D:response': {
+            'D:href': encodeHref(href),
+            'D:status': `HTTP/1.1 ${code} ${http.STATUS_CODES[code] || 'Error'}`,
+            'D:responsedescription': description,
+        },
+    });
+    res.status(207).set('Content-Type', 'application/xml; charset=utf-8').send(xml);
+}
+
+// Moving a playlist folder within 我的歌单 renames the playlist
+async function handlePlaylistRename(req, res, urlPath, destPath, account) {
+    const destMatch = destPath.match(PLAYLIST_DIR_RE);
+    if (req.method !== 'MOVE' || !destMatch) {
+        res.status(403).send('Playlist folders can only be renamed within "我的歌单"');
+        return;
+    }
+
+    const playlistName = urlPath.match(PLAYLIST_DIR_RE)[1];
+    const newName = destMatch[1];
+    const found = await findUserPlaylist(account, playlistName);
+    if (!found) {
+        res.status(404).send('Playlist not found');
+        return;
+    }
+    if (!found.owned || found.playlist.specialType === 5) {
+        res.status(403).send('Cannot rename this playlist');
+        return;
+    }
+    if (newName !== playlistName && await findUserPlaylist(account, newName)) {
+        res.status(412).send('A playlist with that name already exists');
+        return;
+    }
+
+    logger.info(`Renaming playlist ${found.playlist.id} from ${playlistName} to ${newName}`);
+    await api.playlist_name_update({ id: found.playlist.id, name: newName, cookie: account.cookie });
+    invalidatePlaylist(account, found.playlist.id, playlistName);
+    invalidatePlaylist(account, found.playlist.id, newName);
+    moveDeadProps(account, urlPath, destPath);
+    res.status(201).send('Created');
+}
+
+// Creating a folder under 我的歌单 creates an empty playlist
+async function handleMkcol(req, res, urlPath, account) {
+    const match = urlPath.match(PLAYLIST_DIR_RE);
+    if (!match) {
+        res.status(403).send('Folders can only be created in "我的歌单"');
+        return;
+    }
+
+    try {
+        if (await findUserPlaylist(account, match[1])) {
+            res.status(405).send('Playlist already exists');
+            return;
+        }
+
+        logger.info(`Creating playlist ${match[1]}${accountLabel(account)}`);
+        await api.playlist_create({ name: match[1], cookie: account.cookie });
+        delete account.webdavCache.propfind['/我的歌单'];
+        account.webdavCache.userPlaylists.timestamp = 0;
+        saveCache(account);
+        res.status(201).send('Created');
+    } catch (e) {
+        sendWriteError(res, e, 'MKCOL');
+    }
+}
+
+// Deleting a playlist folder; with confirmPlaylistDelete the first request is refused
+// and only a second DELETE of the same folder within a minute goes through
+async function handlePlaylistDelete(req, res, playlistName, account) {
+    const found = await findUserPlaylist(account, playlistName);
+    if (!found) {
+        res.status(404).send('Not Found');
+        return;
+    }
+    if (!found.owned || found.playlist.specialType === 5) {
+        res.status(403).send('Cannot delete this playlist');
+        return;
+    }
+
+    const pendingKey = `${account.name}:${found.playlist.id}`;
+    if (config.confirmPlaylistDelete) {
+        const requestedAt = pendingPlaylistDeletes.get(pendingKey);
+        if (!requestedAt || Date.now() - requestedAt > PLAYLIST_DELETE_CONFIRM_TTL) {
+            pendingPlaylistDeletes.set(pendingKey, Date.now());
+            res.status(403).send(`Delete "${playlistName}" again within a minute to confirm`);
+            return;
+        }
+    }
+    pendingPlaylistDeletes.delete(pendingKey);
+
+    logger.info(`Deleting playlist ${found.playlist.id} (${playlistName})${accountLabel(account)}`);
+    await api.playlist_delete({ id: found.playlist.id, cookie: account.cookie });
+    invalidatePlaylist(account, found.playlist.id, playlistName);
+    moveDeadProps(account, `/我的歌单/${playlistName}`, null);
+    res.status(204).send();
+}
+
+function isOsMetadataFile(urlPath) {
+    const name = path.basename(urlPath);
+    return name.startsWith('._') || ['.DS_Store', 'desktop.ini', 'Thumbs.db', 'autorun.inf'].includes(name);
+}
+
+// Dropping an audio file into 云盘 uploads it through the cloud module
+async function handlePut(req, res, urlPath, account) {
+    const ext = path.extname(urlPath).toLowerCase();
+    // Finder's ._ AppleDouble files and .DS_Store are accepted and dropped
+    if (isOsMetadataFile(urlPath)) {
+        await readBody(req);
+        res.status(201).send('Created');
+        return;
+    }
+    if (path.dirname(urlPath) !== CLOUD_DIR || !CLOUD_UPLOAD_TYPES[ext]) {
+        res.status(403).send('Only mp3/flac uploads into "云盘" are supported');
+        return;
+    }
+
+    const maxBytes = config.cloudUploadMaxSize * 1024 * 1024;
+    if (parseInt(req.get('Content-Length'), 10) > maxBytes) {
+        res.status(413).set('Connection', 'close').send(`Uploads are limited to ${config.cloudUploadMaxSize} MB`);
+        return;
+    }
+
+    try {
+        const data = await readBody(req, maxBytes);
+        if (!data) {
+            res.status(413).send(`Uploads are limited to ${config.cloudUploadMaxSize} MB`);
+            return;
+        }
+        // Some clients create an empty file before writing the content
+        if (data.length === 0) {
+            res.status(201).send('Created');
+            return;
+        }
+
+        const fileName = path.basename(urlPath);
+        logger.info(`Uploading ${fileName} (${data.length} bytes) to cloud${accountLabel(account)}`);
+        await api.cloud({
+            songFile: {
+                // The cloud module expects the multipart (latin1) encoding of the file name
+                name: Buffer.from(fileName).toString('latin1'),
+                data,
+                size: data.length,
+                md5: md5(data),
+                mimetype: CLOUD_UPLOAD_TYPES[ext],
+            },
+            cookie: account.cookie,
+        });
+        res.status(201).send('Created');
+        delete account.webdavCache.lists.cloud;
+        delete account.webdavCache.propfind[CLOUD_DIR];
+        saveCache(account);
+    } catch (e) {
+        sendWriteError(res, e, 'Cloud upload');
+    }
+}
+
+// Deleting a song removes it from the owned playlist or from 云盘, or trashes it
+// in 私人FM; generated files stay put
+async function handleDelete(req, res, urlPath, account) {
+    const { webdavCache, songPathMap } = account;
+    const ext = path.extname(urlPath).toLowerCase();
+    if (isOsMetadataFile(urlPath)) {
+        res.status(204).send();
+        return;
+    }
+    try {
+        const folderMatch = urlPath.match(PLAYLIST_DIR_RE);
+        if (folderMatch) {
+            await handlePlaylistDelete(req, res, folderMatch[1], account);
+            return;
+        }
+
+        const playlistMatch = urlPath.match(PLAYLIST_SONG_RE);
+        if (playlistMatch && (ext === '.mp3' || ext === '.flac')) {
+            const songId = songPathMap.get(urlPath);
+            const found = await findUserPlaylist(account, playlistMatch[1]);
+            if (!songId || !found) {
+                res.status(404).send('Not Found');
+                return;
+            }
+            if (!found.owned) {
+                res.status(403).send('Cannot modify a playlist you do not own');
+                return;
+            }
+
+            logger.info(`Removing song ${songId} from playlist ${found.playlist.id} (${playlistMatch[1]})`);
+            const result = await api.playlist_tracks({
+                op: 'del',
+                pid: found.playlist.id,
+                tracks: songId.toString(),
+                cookie: account.cookie
+            });
+            const code = getResultCode(result);
+            if (code !== 200) {
+                res.status(code || 500).send('Error removing song from playlist');
+                return;
+            }
+            songPathMap.delete(urlPath);
+            songPathMap.delete(getLrcName(urlPath));
+            moveDeadProps(account, urlPath, null);
+            moveDeadProps(account, getLrcName(urlPath), null);
+            invalidatePlaylist(account, found.playlist.id, playlistMatch[1]);
+            res.status(204).send();
+            return;
+        }
+
+        const fmMode = FM_MODES.find(m => path.dirname(urlPath) === `${FM_DIR}/${m.name}`);
+        if (fmMode && (ext === '.mp3' || ext === '.flac')) {
+            const songId = songPathMap.get(urlPath);
+            const state = getFmState(account, fmMode.name);
+            const index = state.entries.findIndex(e => e.id === songId);
+            if (index < 0) {
+                res.status(404).send('Not Found');
+                return;
+            }
+
+            logger.info(`Moving FM song ${songId} to trash${accountLabel(account)}`);
+            await api.fm_trash({ id: songId, cookie: account.cookie });
+            state.entries.splice(index, 1);
+            if (index <= state.position) state.position--;
+            songPathMap.delete(urlPath);
+            songPathMap.delete(getLrcName(urlPath));
+            moveDeadProps(account, urlPath, null);
+            moveDeadProps(account, getLrcName(urlPath), null);
+            fillFm(account, fmMode).catch(e => logger.error('FM refill error:', e));
+            res.status(204).send();
+            return;
+        }
+
+        if (path.dirname(urlPath) === CLOUD_DIR) {
+            const found = getCloudEntries(await getCloudSongs(account)).find(e => e.name === path.basename(urlPath));
+            if (!found) {
+                res.status(404).send('Not Found');
+                return;
+            }
+
+            logger.info(`Deleting cloud song ${found.item.id} (${found.name})${accountLabel(account)}`);
+            await api.user_cloud_del({ id: found.item.id, cookie: account.cookie });
+            songPathMap.delete(urlPath);
+            moveDeadProps(account, urlPath, null);
+            delete webdavCache.lists.cloud;
+            delete webdavCache.propfind[CLOUD_DIR];
+            delete webdavCache.propfind[urlPath];
+            saveCache(account);
+            res.status(204).send();
+            return;
+        }
+
+        res.status(403).send('Only playlists, their songs, 私人FM songs and "云盘" files can be deleted');
+    } catch (e) {
+        sendWriteError(res, e, 'Delete');
+    }
+}
+
+function buildActiveLock(lock) {
+    return {
+        'D:locktype': { 'D:write': '' },
+        'D:lockscope': { [lock.scope === 'shared' ? 'D:shared' : 'D:exclusive']: '' },
+        'D:depth': lock.depth,
+        ...(lock.owner ? { 'D:owner': lock.owner } : {}),
+        'D:timeout': `Second-${lock.timeout}`,
+        'D:locktoken': { 'D:href': lock.token },
+        'D:lockroot': { 'D:href': encodeHref(lock.path) },
+    };
+}
+
+function sendLockDiscovery(res, status, lock) {
+    const xmlBuilder = new xml2js.Builder({
+        rootName: 'D:prop',
+        xmldec: { version: '1.0', encoding: 'UTF-8' },
+    });
+    const xml = xmlBuilder.buildObject({
+        $: { 'xmlns:D': 'DAV:' },
+        'D:lockdiscovery': { 'D:activelock': buildActiveLock(lock) },
+    });
+    res.status(status).set({
+        'Content-Type': 'application/xml; charset=utf-8',
+        'Lock-Token': `<${lock.token}>`,
+    }).send(xml);
+}
+
+async function handleLock(req, res, urlPath, account) {
+    try {
+        const body = (await readBody(req)).toString();
+
+        // An empty body refreshes the lock named in the If header
+        if (!body.trim()) {
+            const tokens = getIfTokens(req);
+            const lock = findLocks(account, urlPath, false).find(l => tokens.includes(l.token));
+            if (!lock) {
+                res.status(412).send('No matching lock to refresh');
+                return;
+            }
+            lock.timeout = parseTimeout(req.get('Timeout'));
+            lock.expires = Date.now() + lock.timeout * 1000;
+            sendLockDiscovery(res, 200, lock);
+            return;
+        }
+
+        const parsed = await xml2js.parseStringPromise(body, {
+            explicitArray: false,
+            tagNameProcessors: [xml2js.processors.stripPrefix],
+        });
+        const lockinfo = parsed && parsed.lockinfo;
+        if (!lockinfo) {
+            res.status(400).send('Bad Request');
+            return;
+        }
+
+        const scope = lockinfo.lockscope && lockinfo.lockscope.shared !== undefined ? 'shared' : 'exclusive';
+        const depth = req.get('Depth') === '0' ? '0' : 'infinity';
+        const conflict = findLocks(account, urlPath, depth === 'infinity')
+            .some(lock => lock.scope === 'exclusive' || scope === 'exclusive');
+        if (conflict) {
+            res.status(423).send('Locked');
+            return;
+        }
+
+        let owner = null;
+        if (lockinfo.owner) {
+            const href = typeof lockinfo.owner === 'object' ? lockinfo.owner.href : null;
+            owner = href ? { 'D:href': typeof href === 'object' ? href._ : href } : String(lockinfo.owner._ || lockinfo.owner);
+        }
+        const timeout = parseTimeout(req.get('Timeout'));
+        const lock = {
+            token: `opaquelocktoken:${crypto.randomUUID()}`,
+            account: account.name,
+            path: urlPath,
+            depth,
+            scope,
+            owner,
+            timeout,
+            expires: Date.now() + timeout * 1000,
+        };
+        // Locking an unmapped URL reserves it (RFC 4918 §9.10.4), which is a 201
+        const exists = !!(await getResources(account, urlPath));
+        locks.set(lock.token, lock);
+        sendLockDiscovery(res, exists ? 200 : 201, lock);
+    } catch (e) {
+        logger.error('LOCK error:', e);
+        res.status(400).send('Bad Request');
+    }
+}
+
+async function handleUnlock(req, res, urlPath, account) {
+    const token = (req.get('Lock-Token') || '').replace(/^<|>$/g, '');
+    const lock = locks.get(token);
+    if (!lock || lock.account !== account.name || !findLocks(account, urlPath, false).includes(lock)) {
+        res.status(409).send('No such lock on this resource');
+        return;
+    }
+    locks.delete(token);
+    res.status(204).send();
+}
+
+// Dead properties follow their resource: a null `toPath` drops them, and moving
+// a folder takes along those of everything in it
+function moveDeadProps(account, fromPath, toPath) {
+    const { deadProps } = account.webdavCache;
+    const paths = Object.keys(deadProps).filter(p => p === fromPath || p.startsWith(fromPath + '/'));
+    if (paths.length === 0) return;
+    paths.forEach(p => {
+        if (toPath) deadProps[toPath + p.substring(fromPath.length)] = deadProps[p];
+        delete deadProps[p];
+    });
+    saveCache(account);
+}
+
+// PROPPATCH keeps client metadata (Win32 timestamps, Finder tags...) as dead
+// properties; live DAV: properties are derived from NetEase and can't be set.
+async function handleProppatch(req, res, urlPath, account) {
+    const { webdavCache } = account;
+    try {
+        if (!(await getResources(account, urlPath))) {
+            res.status(404).send('Not Found');
+            return;
+        }
+    } catch (e) {
+        logger.error('PROPPATCH error:', e);
+        res.status(500).send('Internal Server Error');
+        return;
+    }
+
+    let parsed;
+    try {
+        parsed = await xml2js.parseStringPromise((await readBody(req)).toString(), { explicitArray: true, xmlns: true });
+    } catch (e) {
+        res.status(400).send('Bad Request');
+        return;
+    }
+
+    const update = parsed && Object.values(parsed)[0];
+    if (!update || !update.$ns || update.$ns.local !== 'propertyupdate') {
+        res.status(400).send('Bad Request');
+        return;
+    }
+
+    // set and remove are grouped rather than interleaved in document order; clients
+    // don't mix both for the same property in one request
+    const changes = [];
+    xmlChildren(update).forEach(instruction => {
+        if (!['set', 'remove'].includes(instruction.$ns.local)) return;
+        xmlChildren(instruction).forEach(prop => {
+            xmlChildren(prop).forEach(value => {
+                changes.push({ op: instruction.$ns.local, ns: value.$ns.uri, name: value.$ns.local, value: value._ || '' });
             });
-        } else if (urlPath.startsWith('/我的歌单/')) {
-            const playlistName = urlPath.substring('/我的歌单/'.length);
-            let playlists;
-            const now = Date.now();
-            if (webdavCache.userPlaylists && (now - webdavCache.userPlaylists.timestamp < config.refreshInterval)) {
-                playlists = webdavCache.userPlaylists.data;
+        });
+    });
+
+    // All or nothing: one protected property fails the whole request
+    const rejected = changes.some(c => c.ns === 'DAV:');
+    if (!rejected) {
+        const props = webdavCache.deadProps[urlPath] || {};
+        changes.forEach(c => {
+            const key = `${c.ns} ${c.name}`;
+            if (c.op === 'set') {
+                props[key] = { ns: c.ns, name: c.name, value: c.value };
             } else {
-                const profileRes = await api.login_status({ cookie: userCookie });
-                const uid = profileRes.body.data.profile.userId;
-                const playlistsRes = await api.user_playlist({ uid, cookie: userCookie, limit: 1000 });
-                playlists = playlistsRes.body.playlist;
-                webdavCache.userPlaylists = { data: playlists, timestamp: now };
-                saveCache();
-            }
-
-            const playlist = playlists.find(p => cleanName(p.name) === playlistName);
-            if (playlist) {
-                let cachedPlaylist = webdavCache.playlists[playlist.id];
-                if (!cachedPlaylist || (now - cachedPlaylist.timestamp > config.refreshInterval)) {
-                    const detailRes = await api.playlist_detail({ id: playlist.id, cookie: userCookie });
-                    const trackIds = detailRes.body.playlist.trackIds.map(t => t.id);
-                    const trackAtMap = {};
-                    detailRes.body.playlist.trackIds.forEach(t => trackAtMap[t.id] = t.at);
-                    cachedPlaylist = {
-                        name: playlist.name,
-                        trackIds,
-                        trackAtMap,
-                        updateTime: playlist.updateTime,
-                        timestamp: now
-                    };
-                    webdavCache.playlists[playlist.id] = cachedPlaylist;
-                    saveCache();
+                delete props[key];
+            }
+        });
+        webdavCache.deadProps[urlPath] = props;
+        saveCache(account);
+    }
+
+    const xmlBuilder = new xml2js.Builder({
+        rootName: 'D:multistatus',
+        xmldec: { version: '1.0', encoding: 'UTF-8' },
+    });
+    const xml = xmlBuilder.buildObject({
+        $: { 'xmlns:D': 'DAV:' },
+        'D:response': {
+            'D:href': encodeHref(urlPath),
+            'D:propstat': changes.map(c => {
+                const code = !rejected ? 200 : (c.ns === 'DAV:' ? 403 : 424);
+                return {
+                    'D:prop': { [c.ns === 'DAV:' ? `D:${c.name}` : c.name]: c.ns === 'DAV:' ? '' : { $: { xmlns: c.ns } } },
+                    'D:status': `HTTP/1.1 ${code} ${http.STATUS_CODES[code]}`,
+                };
+            }),
+        },
+    });
+    res.status(207).set('Content-Type', 'application/xml; charset=utf-8').send(xml);
+}
+
+// Builds the listing of `urlPath`: the resource itself first, then its children
+// for collections. Returns null when nothing lives there.
+async function listResources(account, urlPath) {
+    const { webdavCache, songPathMap } = account;
+    let resources = [];
+    if (urlPath === '/') {
+        resources = [
+            { name: '', type: 'collection', mtime: todayDate },
+            { name: '每日推荐歌曲', type: 'collection', mtime: todayDate },
+            { name: '每日推荐歌单', type: 'collection', mtime: todayDate },
+            { name: '我的歌单', type: 'collection', mtime: todayDate },
+            { name: '收藏的专辑', type: 'collection', mtime: todayDate },
+            { name: '收藏的歌手', type: 'collection', mtime: todayDate },
+            { name: '收藏的MV', type: 'collection', mtime: todayDate },
+            { name: '排行榜', type: 'collection', mtime: todayDate },
+            { name: '私人FM', type: 'collection', mtime: todayDate },
+            { name: '我的播客', type: 'collection', mtime: todayDate },
+            { name: '搜索', type: 'collection', mtime: todayDate },
+            { name: '云盘', type: 'collection', mtime: todayDate },
+        ];
+    } else if (urlPath.endsWith('/cover.jpg') || urlPath.endsWith('/folder.jpg')) {
+        const cover = webdavCache.covers[path.dirname(urlPath)];
+        resources = [{ name: path.basename(urlPath), type: 'file', size: cover ? cover.size : 1024 * 1024, mtime: todayDate }];
+    } else if (urlPath === '/每日推荐歌曲') {
+        let songs;
+        const now = Date.now();
+        if (webdavCache.dailySongs && (now - webdavCache.dailySongs.timestamp < config.refreshInterval)) {
+            songs = webdavCache.dailySongs.data;
+        } else {
+            const songsRes = await api.recommend_songs({ cookie: account.cookie });
+            songs = songsRes.body.data.dailySongs;
+            webdavCache.dailySongs = { data: songs, timestamp: now };
+            saveCache(account);
+        }
+        resources = [{ name: '每日推荐歌曲', type: 'collection', mtime: todayDate }];
+
+        const songIds = songs.map(s => s.id);
+        const details = await getListedSongs(account, songIds);
+
+        details.forEach((s, i) => {
+            const mtime = s.publishTime ? new Date(s.publishTime) : todayDate;
+            pushSongEntries(account, resources, urlPath, s, mtime, { index: i + 1 });
+        });
+    } else if (urlPath === '/每日推荐歌单') {
+        let playlists;
+        const now = Date.now();
+        if (webdavCache.recommendPlaylists && (now - webdavCache.recommendPlaylists.timestamp < config.refreshInterval)) {
+            playlists = webdavCache.recommendPlaylists.data;
+        } else {
+            const resrcRes = await api.recommend_resource({ cookie: account.cookie });
+            playlists = resrcRes.body.recommend;
+            webdavCache.recommendPlaylists = { data: playlists, timestamp: now };
+            saveCache(account);
+        }
+        resources = [{ name: '每日推荐歌单', type: 'collection', mtime: todayDate }];
+        playlists.forEach(p => {
+            resources.push({ name: cleanName(p.name), type: 'collection', mtime: new Date(p.createTime || todayDate) });
+        });
+    } else if (/^\/每日推荐歌单\/[^/]+$/.test(urlPath)) {
+        const playlistName = urlPath.substring('/每日推荐歌单/'.length);
+        let playlists;
+        const now = Date.now();
+        if (webdavCache.recommendPlaylists && (now - webdavCache.recommendPlaylists.timestamp < config.refreshInterval)) {
+            playlists = webdavCache.recommendPlaylists.data;
+        } else {
+            const resrcRes = await api.recommend_resource({ cookie: account.cookie });
+            playlists = resrcRes.body.recommend;
+            webdavCache.recommendPlaylists = { data: playlists, timestamp: now };
+            saveCache(account);
+        }
+
+        const playlist = playlists.find(p => cleanName(p.name) === playlistName);
+        if (playlist) {
+            resources = await listPlaylist(account, urlPath, playlistName, await getPlaylistDetail(account, playlist));
+        }
+    } else if (urlPath === '/我的歌单') {
+        const playlists = await getUserPlaylists(account);
+        resources = [{ name: '我的歌单', type: 'collection', mtime: todayDate }];
+        playlists.forEach(p => {
+            resources.push({ name: cleanName(p.name), type: 'collection', mtime: new Date(p.updateTime || todayDate) });
+        });
+    } else if (PLAYLIST_DIR_RE.test(urlPath)) {
+        const playlistName = urlPath.substring('/我的歌单/'.length);
+        const playlists = await getUserPlaylists(account);
+
+        const playlist = playlists.find(p => cleanName(p.name) === playlistName);
+        if (playlist) {
+            resources = await listPlaylist(account, urlPath, playlistName, await getPlaylistDetail(account, playlist));
+        }
+    } else if (urlPath === '/收藏的专辑') {
+        const albums = await getSubAlbums(account);
+        resources = [{ name: '收藏的专辑', type: 'collection', mtime: todayDate }];
+        nameItems(albums, a => `${cleanName(a.name)} - ${cleanName(a.artist)}`).forEach(({ name, item }) => {
+            resources.push({ name, type: 'collection', mtime: new Date(item.subTime || todayDate) });
+        });
+    } else if (/^\/收藏的专辑\/[^/]+$/.test(urlPath)) {
+        const albumName = urlPath.substring('/收藏的专辑/'.length);
+        const albums = await getSubAlbums(account);
+        const found = nameItems(albums, a => `${cleanName(a.name)} - ${cleanName(a.artist)}`).find(n => n.name === albumName);
+        if (found) {
+            resources = [{ name: albumName, type: 'collection', mtime: new Date(found.item.subTime || todayDate) }];
+            await pushAlbumEntries(account, resources, urlPath, found.item.id);
+        }
+    } else if (urlPath === '/收藏的歌手') {
+        const artists = await getSubArtists(account);
+        resources = [{ name: '收藏的歌手', type: 'collection', mtime: todayDate }];
+        nameItems(artists, a => cleanName(a.name)).forEach(({ name }) => {
+            resources.push({ name, type: 'collection', mtime: todayDate });
+        });
+    } else if (/^\/收藏的歌手\/[^/]+(\/[^/]+)?$/.test(urlPath)) {
+        const [artistName, albumName] = urlPath.substring('/收藏的歌手/'.length).split('/');
+        const artists = await getSubArtists(account);
+        const artist = nameItems(artists, a => cleanName(a.name)).find(n => n.name === artistName);
+        if (artist) {
+            resources = await listArtistFolder(account, urlPath, artist, albumName);
+        }
+    } else if (urlPath === '/排行榜') {
+        const charts = await getToplists(account);
+        resources = [{ name: '排行榜', type: 'collection', mtime: todayDate }];
+        nameItems(charts, c => cleanName(c.name)).forEach(({ name, item }) => {
+            resources.push({ name, type: 'collection', mtime: new Date(item.updateTime || todayDate) });
+        });
+    } else if (/^\/排行榜\/[^/]+$/.test(urlPath)) {
+        const chartName = urlPath.substring('/排行榜/'.length);
+        const found = nameItems(await getToplists(account), c => cleanName(c.name)).find(n => n.name === chartName);
+        if (found) {
+            const chart = found.item;
+            // Tracks only change when the chart publishes, which moves its updateTime
+            const cachedPlaylist = await getPlaylistDetail(account, chart, cached => cached.updateTime !== chart.updateTime);
+            resources = await listPlaylist(account, urlPath, chartName, cachedPlaylist);
+            await pushFolderCover(account, resources, urlPath, chart.coverImgUrl, new Date(chart.updateTime || todayDate));
+        }
+    } else if (urlPath === FM_DIR) {
+        resources = [{ name: '私人FM', type: 'collection', mtime: todayDate }];
+        FM_MODES.forEach(m => resources.push({ name: m.name, type: 'collection', mtime: todayDate }));
+    } else if (FM_MODES.some(m => urlPath === `${FM_DIR}/${m.name}`)) {
+        resources = await listFm(account, urlPath, FM_MODES.find(m => urlPath === `${FM_DIR}/${m.name}`));
+    } else if (urlPath === SEARCH_DIR) {
+        // Recent searches stay browsable; new ones are made by opening /搜索/<keywords>
+        resources = [{ name: '搜索', type: 'collection', mtime: todayDate }];
+        new Set([...account.searches.keys()].map(key => key.substring(key.indexOf(':') + 1))).forEach(keywords => {
+            resources.push({ name: keywords, type: 'collection', mtime: todayDate });
+        });
+    } else if (/^\/搜索\/[^/]+(\/(专辑(\/[^/]+)?|歌手(\/[^/]+){0,2}))?$/.test(urlPath)) {
+        resources = await listSearch(account, urlPath);
+    } else if (urlPath === MV_DIR) {
+        resources = [{ name: '收藏的MV', type: 'collection', mtime: todayDate }];
+        await pushVideoEntries(account, resources, urlPath, await getSubMvs(account));
+    } else if (urlPath === DJ_DIR) {
+        resources = [{ name: '我的播客', type: 'collection', mtime: todayDate }];
+        nameItems(await getDjRadios(account), r => cleanName(r.name)).forEach(({ name, item }) => {
+            resources.push({ name, type: 'collection', mtime: new Date(item.lastProgramCreateTime || todayDate) });
+        });
+    } else if (/^\/我的播客\/[^/]+(\/[^/]+)?$/.test(urlPath)) {
+        const [radioName, fileName] = urlPath.substring(DJ_DIR.length + 1).split('/');
+        const radio = nameItems(await getDjRadios(account), r => cleanName(r.name)).find(n => n.name === radioName);
+        if (radio) {
+            const radioPath = `${DJ_DIR}/${radioName}`;
+            const radioMtime = new Date(radio.item.lastProgramCreateTime || todayDate);
+            if (!fileName) {
+                resources = [{ name: radioName, type: 'collection', mtime: radioMtime }];
+                await pushFolderCover(account, resources, radioPath, radio.item.picUrl, radioMtime);
+            }
+            const entries = getProgramEntries(await getDjPrograms(account, radio.item.id));
+            await resolveSizes(account, entries.map(({ item }) => ({ id: item.mainTrackId, picUrl: item.coverUrl || radio.item.picUrl })));
+            entries.forEach(({ name, item }) => {
+                songPathMap.set(`${radioPath}/${name}`, item.mainTrackId);
+                if (!fileName || fileName === name) {
+                    const resolved = getResolvedSize(account, item.mainTrackId, item.coverUrl || radio.item.picUrl, '.mp3');
+                    resources.push({ name, type: 'file', size: resolved !== null ? resolved : item.size, mtime: new Date(item.createTime || todayDate) });
                 }
+            });
+        }
+    } else if (urlPath === CLOUD_DIR || path.dirname(urlPath) === CLOUD_DIR) {
+        const entries = getCloudEntries(await getCloudSongs(account));
+        const fileName = urlPath === CLOUD_DIR ? null : path.basename(urlPath);
+        if (!fileName) {
+            resources = [{ name: '云盘', type: 'collection', mtime: todayDate }];
+        }
+        entries.forEach(({ name, item }) => {
+            songPathMap.set(`${CLOUD_DIR}/${name}`, item.id);
+            if (!fileName || fileName === name) {
+                resources.push({ name, type: 'file', size: item.fileSize, mtime: new Date(item.addTime || todayDate) });
+            }
+        });
+    } else if (webdavCache.videos[urlPath]) {
+        const video = webdavCache.videos[urlPath];
+        const cover = webdavCache.covers[urlPath];
+        const size = video.poster ? (cover ? cover.size : 0) : video.size;
+        resources = [{ name: path.basename(urlPath), type: 'file', size, mtime: new Date(video.mtime) }];
+    } else if (webdavCache.textFiles[urlPath]) {
+        const textFile = webdavCache.textFiles[urlPath];
+        resources = [{ name: path.basename(urlPath), type: 'file', size: Buffer.byteLength(textFile.content), mtime: new Date(textFile.mtime) }];
+    } else if (songPathMap.has(urlPath)) {
+        const songId = songPathMap.get(urlPath);
+        const s = webdavCache.songs[songId];
+        const mtime = s && s.publishTime ? new Date(s.publishTime) : todayDate;
+        const size = urlPath.endsWith('.lrc') && s ? getLrcSize(account, s) : (s ? getServedSize(account, s, path.extname(urlPath)) : getSongSize(s));
+        resources = [{ name: path.basename(urlPath), type: 'file', size, mtime }];
+    }
+    return resources.length > 0 ? resources : null;
+}
+
+// A folder that is listed again maps only the files it lists now, so names from an
+// older listing ({index} shifts, FM tracks or search results gone since) stop
+// resolving. The old mappings come back if the listing fails.
+async function relistResources(account, urlPath) {
+    const { songPathMap } = account;
+    const stale = [...songPathMap].filter(([p]) => {
+        const dirPath = path.dirname(p);
+        return dirPath === urlPath || dirPath === `${urlPath}/${UNAVAILABLE_DIR}`;
+    });
+    stale.forEach(([p]) => songPathMap.delete(p));
+    try {
+        return await listResources(account, urlPath);
+    } catch (e) {
+        stale.forEach(([p, id]) => {
+            if (!songPathMap.has(p)) songPathMap.set(p, id);
+        });
+        throw e;
+    }
+}
+
+// The FM window and search results live in memory and change on their own
+function isVolatileListing(urlPath) {
+    return urlPath.startsWith(FM_DIR + '/') || urlPath === SEARCH_DIR || urlPath.startsWith(SEARCH_DIR + '/');
+}
+
+function isListingFresh(account, urlPath, cached) {
+    // Chart folders follow the chart list, which expires on the charts' own schedule
+    if (urlPath === '/排行榜' || urlPath.startsWith('/排行榜/')) {
+        const toplist = account.webdavCache.lists.toplist;
+        return !!toplist && Date.now() < toplist.expires && cached.timestamp >= toplist.timestamp;
+    }
+    return Date.now() - cached.timestamp < config.refreshInterval;
+}
+
+// Listings are cached per path (rather than rendered XML) so every Depth and
+// property selection can be answered from the same entry
+async function getListing(account, urlPath) {
+    const { webdavCache } = account;
+    if (isVolatileListing(urlPath)) return relistResources(account, urlPath);
+    const cached = webdavCache.propfind[urlPath];
+    if (cached && cached.resources && isListingFresh(account, urlPath, cached)) {
+        return cached.resources.map(r => ({ ...r, mtime: new Date(r.mtime) }));
+    }
+
+    const resources = await relistResources(account, urlPath);
+    if (!resources) return null;
+    webdavCache.propfind[urlPath] = {
+        resources: resources.map(r => ({ ...r, mtime: (r.mtime || todayDate).getTime() })),
+        timestamp: Date.now(),
+    };
+    saveCache(account);
+    return resources;
+}
+
+// A listing as served: entries flagged with a `folder` (songs moved to
+// _unavailable) are listed in that subfolder instead
+async function getResources(account, urlPath) {
+    if (path.basename(urlPath) === UNAVAILABLE_DIR) {
+        const parent = await getListing(account, path.dirname(urlPath));
+        const moved = parent ? parent.slice(1).filter(r => r.folder === UNAVAILABLE_DIR) : [];
+        return moved.length > 0 ? [{ name: UNAVAILABLE_DIR, type: 'collection', mtime: parent[0].mtime }, ...moved] : null;
+    }
+    const resources = await getListing(account, urlPath);
+    if (!resources || !resources.some(r => r.folder)) return resources;
+    return [...resources.filter(r => !r.folder), { name: UNAVAILABLE_DIR, type: 'collection', mtime: resources[0].mtime }];
+}
+
+// Child elements of an xml2js node parsed with `xmlns: true`, in no particular order
+function xmlChildren(node) {
+    if (!node || typeof node !== 'object') return [];
+    return Object.keys(node)
+        .filter(k => k !== '$' && k !== '$ns' && k !== '_')
+        .flatMap(k => node[k])
+        .filter(child => child && child.$ns);
+}
+
+// Returns { type: 'allprop' | 'propname' | 'prop', props: [{ ns, name }] }, or null for a malformed body
+async function parsePropfindBody(req) {
+    const body = (await readBody(req)).toString();
+    if (!body.trim()) return { type: 'allprop', props: [] };
+
+    let parsed;
+    try {
+        parsed = await xml2js.parseStringPromise(body, { explicitArray: true, xmlns: true });
+    } catch (e) {
+        return null;
+    }
+    const root = parsed && Object.values(parsed)[0];
+    if (!root || !root.$ns || root.$ns.uri !== 'DAV:' || root.$ns.local !== 'propfind') return null;
+
+    const children = xmlChildren(root).filter(c => c.$ns.uri === 'DAV:');
+    const prop = children.find(c => c.$ns.local === 'prop');
+    if (prop) {
+        return { type: 'prop', props: xmlChildren(prop).map(c => ({ ns: c.$ns.uri, name: c.$ns.local })) };
+    }
+    if (children.some(c => c.$ns.local === 'propname')) return { type: 'propname', props: [] };
+    return { type: 'allprop', props: [] };
+}
+
+function encodeHref(p) {
+    return p.split('/').map(encodeURIComponent).join('/');
+}
+
+function getEtag(account, resPath, r) {
+    const songId = account.songPathMap.get(resPath);
+    const size = (r.size || 0).toString(16);
+    if (path.dirname(resPath) === CLOUD_DIR && songId) return `"cloud-${songId}-${size}"`;
+    if (songId && !resPath.endsWith('.lrc')) return `"${songId}-${config.quality}-${size}"`;
+    return `"${md5(`${resPath}:${r.size}:${r.mtime.getTime()}`).substring(0, 16)}"`;
+}
+
+// Live properties of a resource keyed by their DAV: name, plus dead properties keyed by `${ns} ${name}`
+function getProperties(account, resPath, r) {
+    const isCol = r.type === 'collection';
+    const mtime = r.mtime || todayDate;
+    const live = {
+        displayname: r.name || '/',
+        resourcetype: isCol ? { 'D:collection': '' } : '',
+        creationdate: mtime.toISOString(),
+        getlastmodified: mtime.toUTCString(),
+        supportedlock: {
+            'D:lockentry': ['D:exclusive', 'D:shared'].map(scope => ({
+                'D:lockscope': { [scope]: '' },
+                'D:locktype': { 'D:write': '' },
+            })),
+        },
+        lockdiscovery: {
+            'D:activelock': findLocks(account, resPath, false).map(buildActiveLock),
+        },
+    };
+    if (!isCol) {
+        live.getcontentlength = r.size;
+        live.getcontenttype = getContentType(r.name);
+        live.getetag = getEtag(account, resPath, r);
+    }
+
+    const props = new Map();
+    Object.keys(live).forEach(name => props.set(`DAV: ${name}`, { ns: 'DAV:', name, value: live[name] }));
+    Object.values(account.webdavCache.deadProps[resPath] || {}).forEach(p => {
+        props.set(`${p.ns} ${p.name}`, { ns: p.ns, name: p.name, value: p.value });
+    });
+    return props;
+}
+
+function buildPropElements(props, withValues) {
+    const result = {};
+    props.forEach(p => {
+        const value = withValues ? p.value : '';
+        if (p.ns === 'DAV:') {
+            result[`D:${p.name}`] = value;
+        } else {
+            result[p.name] = { _: value, $: { xmlns: p.ns } };
+        }
+    });
+    return result;
+}
+
+function buildPropstat(props, status, withValues) {
+    return {
+        'D:prop': buildPropElements(props, withValues),
+        'D:status': `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+    };
+}
+
+async function handlePropfind(req, res, urlPath, account) {
+    const request = await parsePropfindBody(req);
+    if (!request) {
+        res.status(400).send('Bad Request');
+        return;
+    }
 
-                const details = await getSongsDetails(cachedPlaylist.trackIds);
-                const playlistMtime = new Date(cachedPlaylist.updateTime || todayDate);
-                resources = [{ name: playlistName, type: 'collection', mtime: playlistMtime }];
-
-                details.forEach(s => {
-                    const ext = getExtension(s);
-                    const filename = `${cleanName(s.name)} - ${cleanName(s.ar)}${ext}`;
-                    const fullPath = `${urlPath}/${filename}`;
-                    const mtime = cachedPlaylist.trackAtMap[s.id] ? new Date(cachedPlaylist.trackAtMap[s.id]) : (s.publishTime ? new Date(s.publishTime) : playlistMtime);
-                    resources.push({ name: filename, type: 'file', size: getSongSize(s), mtime });
-                    songPathMap.set(fullPath, s.id);
-                });
-            }
-        } else if (urlPath.endsWith('/cover.jpg') || urlPath.endsWith('/folder.jpg')) {
-            resources = [{ name: path.basename(urlPath), type: 'file', size: 1024 * 1024, mtime: todayDate }];
-        } else {
-             if (songPathMap.has(urlPath)) {
-                const songId = songPathMap.get(urlPath);
-                const s = webdavCache.songs[songId];
-                const mtime = s && s.publishTime ? new Date(s.publishTime) : todayDate;
-                resources = [{ name: path.basename(urlPath), type: 'file', size: getSongSize(s), mtime }];
-            } else {
-                res.status(404).send('Not Found');
-                return;
+    // Missing Depth means infinity; config.propfindDepthLimit bounds how far that walks
+    const depthHeader = (req.get('Depth') || 'infinity').toLowerCase();
+    const maxLevel = depthHeader === '0' ? 0 : (depthHeader === '1' ? 1 : config.propfindDepthLimit);
+    if (maxLevel === 0 && depthHeader !== '0') {
+        const xmlBuilder = new xml2js.Builder({ rootName: 'D:error', xmldec: { version: '1.0', encoding: 'UTF-8' } });
+        res.status(403).set('Content-Type', 'application/xml; charset=utf-8')
+            .send(xmlBuilder.buildObject({ $: { 'xmlns:D': 'DAV:' }, 'D:propfind-finite-depth': '' }));
+        return;
+    }
+
+    const entries = [];
+    try {
+        const resources = await getResources(account, urlPath);
+        if (!resources) {
+            res.status(404).send('Not Found');
+            return;
+        }
+        entries.push({ ...resources[0], path: urlPath });
+
+        let level = [{ path: urlPath, children: resources.slice(1) }];
+        for (let depth = 1; depth <= maxLevel && level.length > 0; depth++) {
+            const next = [];
+            for (const dir of level) {
+                for (const child of dir.children) {
+                    const childPath = (dir.path === '/' ? '' : dir.path) + '/' + child.name;
+                    entries.push({ ...child, path: childPath });
+                    if (child.type === 'collection' && depth < maxLevel) {
+                        const sub = await getResources(account, childPath);
+                        if (sub) next.push({ path: childPath, children: sub.slice(1) });
+                    }
+                }
             }
+            level = next;
         }
     } catch (e) {
         logger.error('PROPFIND error:', e);
@@ -507,55 +2917,90 @@ async function handlePropfind(req, res, urlPath) {
 
     const response = {
         $: { 'xmlns:D': 'DAV:' },
-        'D:response': resources.map(r => {
-            let resPath = (r.name === '') ? urlPath : ((urlPath === '/' ? '' : urlPath) + '/' + r.name);
-            resPath = resPath.replace(/\\/g, '/');
-            const isCol = r.type === 'collection';
+        'D:response': entries.map(r => {
+            const props = getProperties(account, r.path, r);
+            let propstat;
+            if (request.type === 'prop') {
+                const found = [];
+                const missing = [];
+                request.props.forEach(p => {
+                    const prop = props.get(`${p.ns} ${p.name}`);
+                    (prop ? found : missing).push(prop || p);
+                });
+                propstat = [];
+                if (found.length > 0) propstat.push(buildPropstat(found, 200, true));
+                if (missing.length > 0) propstat.push(buildPropstat(missing, 404, false));
+            } else {
+                propstat = buildPropstat([...props.values()], 200, request.type === 'allprop');
+            }
             return {
-                'D:href': encodeURI(resPath + (isCol && r.name ? '/' : '')),
-                'D:propstat': {
-                    'D:prop': {
-                        'D:displayname': r.name || '/',
-                        'D:resourcetype': isCol ? { 'D:collection': {} } : {},
-                        ...(isCol ? {} : {
-                            'D:getcontentlength': r.size,
-                            'D:getcontenttype': r.name.endsWith('.flac') ? 'audio/flac' : 'audio/mpeg',
-                        }),
-                        'D:getlastmodified': (r.mtime || todayDate).toUTCString(),
-                    },
-                    'D:status': 'HTTP/1.1 200 OK',
-                }
+                'D:href': encodeHref(r.path + (r.type === 'collection' && r.path !== '/' ? '/' : '')),
+                'D:propstat': propstat,
             };
         })
     };
 
-    const xml = xmlBuilder.buildObject(response);
-    webdavCache.propfind[urlPath] = { xml, timestamp: Date.now() };
-    saveCache();
-    res.status(207).set('Content-Type', 'application/xml; charset=utf-8').send(xml);
+    res.status(207).set('Content-Type', 'application/xml; charset=utf-8').send(xmlBuilder.buildObject(response));
 }
 
-async function handleGet(req, res, urlPath, isHead) {
+async function handleGet(req, res, urlPath, account, isHead) {
+    const { songPathMap } = account;
     if (urlPath.endsWith('/cover.jpg') || urlPath.endsWith('/folder.jpg')) {
-        handleCoverGet(req, res, urlPath, isHead);
+        handleCoverGet(req, res, urlPath, account, isHead);
+        return;
+    }
+
+    if (urlPath.endsWith('.lrc')) {
+        handleLyricGet(req, res, urlPath, account, isHead);
+        return;
+    }
+
+    if (path.dirname(urlPath) === CLOUD_DIR) {
+        handleCloudGet(req, res, urlPath, account, isHead);
+        return;
+    }
+
+    if (account.webdavCache.videos[urlPath]) {
+        handleVideoGet(req, res, urlPath, account, isHead);
+        return;
+    }
+
+    if (path.dirname(path.dirname(urlPath)) === DJ_DIR) {
+        handleProgramGet(req, res, urlPath, account, isHead);
+        return;
+    }
+
+    const textFile = account.webdavCache.textFiles[urlPath];
+    if (textFile) {
+        const body = Buffer.from(textFile.content);
+        res.status(200).set({
+            'Content-Type': getContentType(urlPath),
+            'Content-Length': String(body.length),
+            'Last-Modified': new Date(textFile.mtime).toUTCString(),
+        });
+        res.end(isHead ? undefined : body);
         return;
     }
 
     let songId = songPathMap.get(urlPath);
 
-    if (isHead) {
+    if (isHead && (!songId || (config.mode !== 'experience' && !getCachedAudio(account, songId)))) {
         res.status(200).set({
             'Content-Type': urlPath.endsWith('.flac') ? 'audio/flac' : 'audio/mpeg',
-            'Accept-Ranges': 'none'
-        }).send();
+            'Accept-Ranges': config.mode === 'experience' ? 'bytes' : 'none'
+        });
+        const s = songId && account.webdavCache.songs[songId];
+        const size = songId ? getResolvedSize(account, songId, s && s.picUrl, path.extname(urlPath)) : null;
+        if (size !== null) res.set('Content-Length', String(size));
+        res.end();
         return;
     }
 
     if (!songId) {
-        const match = urlPath.match(/\/([^/]+)\s-\s([^/]+)\.(mp3|flac)$/);
-        if (match) {
+        const keywords = getFallbackKeywords(urlPath);
+        if (keywords) {
             try {
-                const searchRes = await api.search({ keywords: match[1] + ' ' + match[2], type: 1, cookie: userCookie });
+                const searchRes = await api.search({ keywords, type: 1, cookie: account.cookie });
                 if (searchRes.body.result && searchRes.body.result.songs && searchRes.body.result.songs.length > 0) {
                     songId = searchRes.body.result.songs[0].id;
                 }
@@ -565,20 +3010,29 @@ async function handleGet(req, res, urlPath, isHead) {
         }
     }
 
+    if (songId && !isHead && urlPath.startsWith(FM_DIR + '/')) {
+        advanceFm(account, urlPath, songId);
+    }
+
     if (songId) {
         try {
             if (config.mode === 'experience') {
-                await handleGetExperience(req, res, songId, urlPath);
+                await handleGetExperience(req, res, account, songId, urlPath, isHead);
                 return;
             } else {
-                const urlRes = await api.song_url_v1({ id: songId, level: config.quality, cookie: userCookie });
-                if (urlRes.body.data && urlRes.body.data[0]) {
-                    const song = urlRes.body.data[0];
-                    const songUrl = song.url;
-                    if (songUrl) {
-                        res.redirect(songUrl);
-                        return;
-                    }
+                const cachedAudio = getCachedAudio(account, songId);
+                if (cachedAudio) {
+                    const unblockSource = getCachedUnblockSource(cachedAudio);
+                    if (unblockSource) res.set('X-Unblock-Source', unblockSource);
+                    await serveVirtualFile(req, res, createCachedFile(account, songId, cachedAudio), isHead, trackPlayback(account, songId, urlPath, cachedAudio.size));
+                    return;
+                }
+                const song = await getSongUrl(account, songId);
+                if (song) {
+                    cacheAudio(account, songId, song);
+                    if (song.unblockSource) res.set('X-Unblock-Source', song.unblockSource);
+                    res.redirect(song.url);
+                    return;
                 }
             }
         } catch (e) {
@@ -588,11 +3042,164 @@ async function handleGet(req, res, urlPath, isHead) {
     res.status(404).send('Song not found');
 }
 
-async function handleCoverGet(req, res, urlPath, isHead) {
+// Cloud files are the user's own uploads, so they are passed through untouched in both modes
+async function handleCloudGet(req, res, urlPath, account, isHead) {
+    try {
+        const found = getCloudEntries(await getCloudSongs(account)).find(e => e.name === path.basename(urlPath));
+        if (!found) {
+            res.status(404).send('File not found');
+            return;
+        }
+
+        const cloud = found.item;
+        const file = {
+            source: null,
+            header: Buffer.alloc(0),
+            audioOffset: 0,
+            audioSize: cloud.fileSize,
+            size: cloud.fileSize,
+            contentType: getContentType(found.name),
+            etag: `"cloud-${cloud.id}-${cloud.fileSize.toString(16)}"`,
+            mtime: new Date(cloud.addTime || todayDate),
+        };
+        if (isHead) {
+            await serveVirtualFile(req, res, file, true);
+            return;
+        }
+
+        // Ask for the top level so the original upload is returned rather than a transcode
+        const urlRes = await api.song_url_v1({ id: cloud.id, level: 'hires', cookie: account.cookie });
+        const song = urlRes.body.data && urlRes.body.data[0];
+        if (!song || !song.url) {
+            res.status(404).send('File not found');
+            return;
+        }
+        if (config.mode !== 'experience') {
+            res.redirect(song.url);
+            return;
+        }
+        file.source = { url: song.url, size: cloud.fileSize };
+        await serveVirtualFile(req, res, file, false, trackPlayback(account, cloud.id, urlPath, file.size));
+    } catch (e) {
+        logger.error('Get cloud file error:', e);
+        if (!res.headersSent) res.status(500).send('Internal Server Error');
+    }
+}
+
+async function handleProgramGet(req, res, urlPath, account, isHead) {
+    try {
+        const found = await findProgram(account, urlPath);
+        if (!found) {
+            res.status(404).send('File not found');
+            return;
+        }
+
+        const { radio, program } = found;
+        if (config.mode !== 'experience') {
+            if (isHead) {
+                res.status(200).set({ 'Content-Type': 'audio/mpeg', 'Accept-Ranges': 'none' });
+                const size = getResolvedSize(account, program.mainTrackId, program.coverUrl || radio.picUrl, '.mp3');
+                if (size !== null) res.set('Content-Length', String(size));
+                res.end();
+                return;
+            }
+            const urlRes = await api.song_url_v1({ id: program.mainTrackId, level: config.quality, cookie: account.cookie });
+            const song = urlRes.body.data && urlRes.body.data[0];
+            if (!song || !song.url) {
+                res.status(404).send('File not found');
+                return;
+            }
+            res.redirect(song.url);
+            return;
+        }
+
+        const file = await getProgramFile(account, radio, program);
+        if (!file) {
+            res.status(404).send('File not found');
+            return;
+        }
+        await serveVirtualFile(req, res, file, isHead);
+    } catch (e) {
+        logger.error('Get program error:', e);
+        if (!res.headersSent) res.status(500).send('Internal Server Error');
+    }
+}
+
+async function handleVideoGet(req, res, urlPath, account, isHead) {
+    const video = account.webdavCache.videos[urlPath];
+    if (video.poster) {
+        if (isHead) {
+            const size = await getImageSize(account, urlPath, video.picUrl);
+            res.status(200).set({ 'Content-Type': 'image/jpeg', 'Content-Length': String(size) }).end();
+            return;
+        }
+        res.redirect(video.picUrl);
+        return;
+    }
+
+    try {
+        const mtime = new Date(video.mtime);
+        const file = {
+            source: null,
+            header: Buffer.alloc(0),
+            audioOffset: 0,
+            audioSize: video.size,
+            size: video.size,
+            contentType: 'video/mp4',
+            etag: getEtag(account, urlPath, { size: video.size, mtime }),
+            mtime,
+        };
+        if (isHead) {
+            await serveVirtualFile(req, res, file, true);
+            return;
+        }
+
+        const resolved = await resolveVideo(account, video, video.resolution);
+        if (!resolved) {
+            res.status(404).send('File not found');
+            return;
+        }
+        if (config.mode !== 'experience') {
+            res.redirect(resolved.url);
+            return;
+        }
+        file.source = { url: resolved.url, size: video.size };
+        await serveVirtualFile(req, res, file, false);
+    } catch (e) {
+        logger.error('Get video error:', e);
+        if (!res.headersSent) res.status(500).send('Internal Server Error');
+    }
+}
+
+async function handleLyricGet(req, res, urlPath, account, isHead) {
+    const songId = account.songPathMap.get(urlPath);
+    if (!songId) {
+        res.status(404).send('Lyric not found');
+        return;
+    }
+
+    try {
+        const details = await getSongsDetails(account, [songId]);
+        const lyrics = await getLyrics(account, songId);
+        const body = Buffer.from(buildLrc(details[0] || {}, lyrics));
+        res.status(200).set({
+            'Content-Type': getContentType(urlPath),
+            'Content-Length': String(body.length),
+        });
+        res.end(isHead ? undefined : body);
+    } catch (e) {
+        logger.error('Get lyric error:', e);
+        res.status(500).send('Internal Server Error');
+    }
+}
+
+async function handleCoverGet(req, res, urlPath, account, isHead) {
+    const { webdavCache, songPathMap } = account;
     const dirPath = path.dirname(urlPath);
-    // Find first song in this directory to get cover
-    let picUrl = null;
+    // Album and artist folders know their cover, otherwise use the first song in this directory
+    let picUrl = webdavCache.covers[dirPath] ? webdavCache.covers[dirPath].url : null;
     for (const [p, id] of songPathMap.entries()) {
+        if (picUrl) break;
         if (p.startsWith(dirPath + '/')) {
             const s = webdavCache.songs[id];
             if (s && s.picUrl) {
@@ -619,173 +3226,736 @@ async function handleCoverGet(req, res, urlPath, isHead) {
     }
 }
 
-async function handleGetExperience(req, res, songId, urlPath) {
-    try {
-        const urlRes = await api.song_url_v1({ id: songId, level: config.quality, cookie: userCookie });
-        const songUrl = urlRes.body.data[0].url;
-        if (!songUrl) {
-            res.status(404).send('Song URL not found');
-            return;
+// Plays streamed by this server are reported with `scrobble` once enough of the
+// file went out. Players fetch in ranges and re-open files, so delivered ranges
+// are merged per song and a song is reported at most once per its own duration.
+// Speed mode redirects go straight to the CDN and can't be counted.
+const SCROBBLE_MIN_INTERVAL = 60 * 1000;
+const PLAYBACK_IDLE = 2 * 60 * 60 * 1000;
+const playbacks = new Map(); // `${account}:${songId}` -> { ranges: [[start, end]], size, lastScrobble, timestamp }
+
+// The playlist (or chart) a song was played from, resolved from cached listings only
+function getSourceId(account, urlPath) {
+    const { webdavCache } = account;
+    const [, root, folder] = urlPath.split('/');
+    const lists = {
+        '我的歌单': webdavCache.userPlaylists.data,
+        '每日推荐歌单': webdavCache.recommendPlaylists.data,
+        '排行榜': webdavCache.lists.toplist ? webdavCache.lists.toplist.data : [],
+    };
+    const playlist = (lists[root] || []).find(p => cleanName(p.name) === folder);
+    return playlist ? playlist.id : '';
+}
+
+function trackPlayback(account, songId, urlPath, size) {
+    if (!config.scrobble || !size) return undefined;
+    const sourceId = getSourceId(account, urlPath);
+    return (start, end) => recordDelivery(account, songId, sourceId, size, start, end);
+}
+
+function recordDelivery(account, songId, sourceId, size, start, end) {
+    const now = Date.now();
+    for (const [key, playback] of playbacks) {
+        if (now - playback.timestamp > PLAYBACK_IDLE) playbacks.delete(key);
+    }
+    if (end <= start) return;
+
+    const key = `${account.name}:${songId}`;
+    let playback = playbacks.get(key);
+    if (!playback || playback.size !== size) {
+        playback = { ranges: [], size, lastScrobble: playback ? playback.lastScrobble : 0, timestamp: now };
+        playbacks.set(key, playback);
+    }
+    playback.timestamp = now;
+
+    // Merge [start, end) into the sorted, non-overlapping ranges
+    const ranges = [];
+    let merged = [start, end];
+    playback.ranges.forEach(r => {
+        if (r[1] < merged[0] || r[0] > merged[1]) {
+            ranges.push(r);
+        } else {
+            merged = [Math.min(r[0], merged[0]), Math.max(r[1], merged[1])];
         }
+    });
+    ranges.push(merged);
+    playback.ranges = ranges.sort((a, b) => a[0] - b[0]);
+
+    const covered = playback.ranges.reduce((sum, r) => sum + r[1] - r[0], 0);
+    if (covered / size < config.scrobbleThreshold) return;
+    // The next play starts counting from scratch
+    playback.ranges = [];
+
+    const s = account.webdavCache.songs[songId];
+    const duration = s && s.dt ? s.dt : 0;
+    if (now - playback.lastScrobble < Math.max(duration, SCROBBLE_MIN_INTERVAL)) return;
+    playback.lastScrobble = now;
+    // Reported as listened for the share of the song that was delivered
+    const played = Math.min(covered / size, 1) * duration;
+
+    logger.info(`Scrobbling song ${songId}${sourceId ? ` from list ${sourceId}` : ''}${accountLabel(account)}`);
+    api.scrobble({ id: songId, sourceid: sourceId, time: Math.round(played / 1000), cookie: account.cookie })
+        .catch(e => logger.error('Scrobble failed:', e));
+}
 
-        const details = await getSongsDetails([songId]);
-        const s = details[0];
-        const isFlac = urlPath.endsWith('.flac');
+// Experience mode serves a virtual file: freshly built tag header followed by
+// the upstream audio (minus its own header). Built files are kept for a while
+// so that the burst of range requests a player makes while seeking doesn't
+// rebuild the tag and re-probe the CDN every time.
+const experienceFiles = new Map(); // `${account}:${songId}:${quality}:${ext}` -> virtual file
+const EXPERIENCE_FILE_TTL = 10 * 60 * 1000;
+const PROBE_SIZE = 64 * 1024;
+const FLAC_BLOCK_PADDING = 1;
+const FLAC_BLOCK_VORBIS_COMMENT = 4;
+const FLAC_BLOCK_PICTURE = 6;
+
+// Reads the first `length` bytes of a source (cached file or upstream URL) and
+// reports the total size
+async function readSourceHead(source, length) {
+    if (source.path) {
+        const fd = await fs.promises.open(source.path, 'r');
+        try {
+            const { bytesRead, buffer } = await fd.read(Buffer.alloc(length), 0, length, 0);
+            return { data: buffer.subarray(0, bytesRead), total: source.size };
+        } finally {
+            await fd.close();
+        }
+    }
 
-        logger.info(`Streaming song ${songId} in experience mode...`);
+    const url = source.url;
+    const upstreamRes = await axios({
+        method: 'get',
+        url,
+        responseType: 'stream',
+        timeout: 10000,
+        headers: { Range: `bytes=0-${length - 1}` },
+    });
+    let total = 0;
+    const contentRange = upstreamRes.headers['content-range'];
+    if (contentRange && /\/(\d+)$/.test(contentRange)) {
+        total = parseInt(contentRange.match(/\/(\d+)$/)[1], 10);
+    } else if (upstreamRes.status === 200) {
+        total = parseInt(upstreamRes.headers['content-length'], 10) || 0;
+    }
 
-        // Fetch image if available
-        let imageBuffer = null;
-        if (s.picUrl) {
-            try {
-                const imageRes = await axios({
-                    method: 'get',
-                    url: s.picUrl,
-                    responseType: 'arraybuffer',
-                    timeout: 5000
-                });
-                imageBuffer = Buffer.from(imageRes.data);
-            } catch (e) {
-                logger.error('Error fetching album art', e);
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let received = 0;
+        const finish = () => resolve({ data: Buffer.concat(chunks).subarray(0, length), total });
+        upstreamRes.data.on('data', (chunk) => {
+            chunks.push(chunk);
+            received += chunk.length;
+            if (received >= length) {
+                upstreamRes.data.destroy();
+                finish();
             }
-        }
+        });
+        upstreamRes.data.on('end', finish);
+        upstreamRes.data.on('error', (e) => (received >= length ? finish() : reject(e)));
+    });
+}
+
+// Opens source bytes [start, end], trimming manually if the CDN ignores Range
+async function openSource(source, start, end) {
+    if (source.path) return fs.createReadStream(source.path, { start, end });
+
+    const url = source.url;
+    const upstreamRes = await axios({
+        method: 'get',
+        url,
+        responseType: 'stream',
+        timeout: 10000,
+        headers: { Range: `bytes=${start}-${end}` },
+    });
+    if (upstreamRes.status === 206) return upstreamRes.data;
+
+    let skip = start;
+    let remaining = end - start + 1;
+    const slicer = new stream.Transform({
+        transform(chunk, encoding, callback) {
+            if (remaining <= 0) {
+                callback();
+                return;
+            }
+            if (skip >= chunk.length) {
+                skip -= chunk.length;
+                callback();
+                return;
+            }
+            const part = chunk.subarray(skip, skip + remaining);
+            skip = 0;
+            remaining -= part.length;
+            callback(null, part);
+            if (remaining <= 0) {
+                this.push(null);
+                upstreamRes.data.destroy();
+            }
+        },
+    });
+    slicer.on('close', () => upstreamRes.data.destroy());
+    return upstreamRes.data.pipe(slicer);
+}
 
-        const audioRes = await axios({
+async function fetchCover(picUrl) {
+    if (!picUrl) return null;
+    try {
+        const imageRes = await axios({
             method: 'get',
-            url: songUrl,
-            responseType: 'stream',
-            timeout: 10000
+            url: picUrl,
+            responseType: 'arraybuffer',
+            timeout: 5000
         });
+        return Buffer.from(imageRes.data);
+    } catch (e) {
+        logger.error('Error fetching album art', e);
+        return null;
+    }
+}
 
-        res.set({
-            'Content-Type': isFlac ? 'audio/flac' : 'audio/mpeg',
-            'Accept-Ranges': 'none'
-        });
+// Walks FLAC metadata blocks; returns `needed` when the buffer is too short
+function parseFlacMetadata(buf) {
+    if (buf.length < 4 || buf.toString('latin1', 0, 4) !== 'fLaC') return { invalid: true };
+    const blocks = [];
+    let pos = 4;
+    for (;;) {
+        if (pos + 4 > buf.length) return { needed: pos + 4 };
+        const isLast = (buf[pos] & 0x80) !== 0;
+        const type = buf[pos] & 0x7f;
+        const length = buf.readUIntBE(pos + 1, 3);
+        if (pos + 4 + length > buf.length) return { needed: pos + 4 + length };
+        blocks.push({ type, data: buf.subarray(pos + 4, pos + 4 + length) });
+        pos += 4 + length;
+        if (isLast) break;
+    }
+    return { blocks, length: pos };
+}
 
-        if (isFlac) {
-            const processor = new flacMetadata.Processor();
-            let mdbPicture;
-            processor.on('preprocess', (mdb) => {
-                if (mdb.type === flacMetadata.Processor.MDB_TYPE_PICTURE) {
-                    mdb.remove();
-                }
-                if (mdb.isLast) {
-                    mdb.isLast = false;
-                    if (imageBuffer) {
-                        mdbPicture = flacMetadata.data.MetaDataBlockPicture.create(
-                            true, // isLast
-                            3, // pictureType: front cover
-                            'image/jpeg',
-                            '', // description
-                            0, 0, 0, 0, // width, height, depth, colors
-                            imageBuffer
-                        );
-                    } else {
-                        mdb.isLast = true;
-                    }
-                }
-            });
-            processor.on('postprocess', function(mdb) {
-                if (mdbPicture) {
-                    this.push(mdbPicture.publish());
-                    mdbPicture = null;
-                }
-            });
-            audioRes.data.pipe(processor).pipe(res);
+// Everything the taggers need, gathered once per virtual file
+async function getTagInfo(account, s) {
+    const info = { song: s, albumArtist: '', lyricLines: [] };
+    if (s.alId) {
+        try {
+            info.albumArtist = (await getAlbum(account, s.alId)).artist;
+        } catch (e) {
+            logger.error(`Error fetching album ${s.alId}`, e.message);
+        }
+    }
+    if (config.embedLyrics && s.id) {
+        try {
+            info.lyricLines = getLyricLines(await getLyrics(account, s.id)).filter(l => l.text);
+        } catch (e) {
+            logger.error(`Error fetching lyrics for ${s.id}`, e.message);
+        }
+    }
+    info.albumArtist = info.albumArtist || (s.artists && s.artists[0]) || '';
+    info.year = s.publishTime ? String(new Date(s.publishTime).getFullYear()) : '';
+    info.track = s.no ? String(s.no) : '';
+    info.disc = parseInt(s.cd, 10) ? String(parseInt(s.cd, 10)) : '';
+    return info;
+}
+
+function buildId3Tags(info, imageBuffer) {
+    const s = info.song;
+    const tags = {
+        title: s.name,
+        artist: s.ar,
+        album: s.al,
+        performerInfo: info.albumArtist,
+        year: info.year,
+        trackNumber: info.track,
+        partOfSet: info.disc,
+        audioSourceUrl: s.id ? `https://music.163.com/song?id=${s.id}` : undefined,
+        userDefinedText: s.id ? [{ description: 'NCM_ID', value: String(s.id) }] : undefined,
+    };
+
+    if (info.lyricLines.length > 0) {
+        tags.unsynchronisedLyrics = { language: 'chi', text: info.lyricLines.map(l => l.text).join('\n') };
+        tags.synchronisedLyrics = [{
+            language: 'chi',
+            timeStampFormat: nodeID3.TagConstants.TimeStampFormat.MILLISECONDS,
+            contentType: nodeID3.TagConstants.SynchronisedLyrics.ContentType.LYRICS,
+            synchronisedText: info.lyricLines.map(l => ({ text: l.text, timeStamp: l.time })),
+        }];
+    }
+
+    if (imageBuffer) {
+        tags.image = {
+            mime: 'image/jpeg',
+            type: { id: 3, name: 'front cover' },
+            description: 'Front Cover',
+            imageBuffer: imageBuffer,
+        };
+    }
+    Object.keys(tags).forEach(key => (tags[key] === undefined || tags[key] === '') && delete tags[key]);
+    return tags;
+}
+
+function buildVorbisComments(info) {
+    const s = info.song;
+    const comments = [];
+    const add = (key, value) => value && comments.push(`${key}=${value}`);
+    add('TITLE', s.name);
+    (s.artists || [s.ar]).forEach(artist => add('ARTIST', artist));
+    add('ALBUM', s.al);
+    add('ALBUMARTIST', info.albumArtist);
+    add('DATE', info.year);
+    add('TRACKNUMBER', info.track);
+    add('DISCNUMBER', info.disc);
+    add('NCM_ID', s.id && String(s.id));
+    add('LYRICS', info.lyricLines.map(l => `[${formatLrcTime(l.time)}]${l.text}`).join('\n'));
+    return comments;
+}
+
+// With `padTo` the header is grown to exactly that many bytes: a PADDING block
+// takes gaps of 4 bytes or more, smaller ones go into the vendor string
+function buildFlacHeader(blocks, imageBuffer, comments, padTo) {
+    // Keep the upstream encoder's vendor string when there is one
+    const upstreamComment = blocks.find(b => b.type === FLAC_BLOCK_VORBIS_COMMENT);
+    const vendor = upstreamComment
+        ? upstreamComment.data.toString('utf8', 4, 4 + upstreamComment.data.readUInt32LE(0))
+        : 'NCM-WEBDAV';
+
+    const kept = blocks
+        .filter(b => ![FLAC_BLOCK_PICTURE, FLAC_BLOCK_PADDING, FLAC_BLOCK_VORBIS_COMMENT].includes(b.type))
+        .map(b => ({ type: b.type, data: b.data }));
+    const createComment = v => flacMetadata.data.MetaDataBlockVorbisComment.create(false, v, comments).publish().subarray(4);
+    const commentBlock = { type: FLAC_BLOCK_VORBIS_COMMENT, data: createComment(vendor) };
+    kept.push(commentBlock);
+    if (imageBuffer) {
+        const picture = flacMetadata.data.MetaDataBlockPicture.create(
+            false,
+            3, // pictureType: front cover
+            'image/jpeg',
+            '', // description
+            0, 0, 0, 0, // width, height, depth, colors
+            imageBuffer
+        ).publish();
+        kept.push({ type: FLAC_BLOCK_PICTURE, data: picture.subarray(4) });
+    }
+
+    const gap = padTo ? padTo - kept.reduce((sum, b) => sum + 4 + b.data.length, 4) : 0;
+    if (gap >= 4) {
+        kept.push({ type: FLAC_BLOCK_PADDING, data: Buffer.alloc(gap - 4) });
+    } else if (gap > 0) {
+        commentBlock.data = createComment(vendor + ' '.repeat(gap));
+    }
+
+    const parts = [Buffer.from('fLaC', 'latin1')];
+    kept.forEach((b, i) => {
+        const blockHeader = Buffer.alloc(4);
+        blockHeader[0] = (i === kept.length - 1 ? 0x80 : 0) | b.type;
+        blockHeader.writeUIntBE(b.data.length, 1, 3);
+        parts.push(blockHeader, b.data);
+    });
+    return Buffer.concat(parts);
+}
+
+// Room left for the tag when a file has to come out at `promised` bytes, null when nothing was promised
+function getTagTarget(promised, audioSize) {
+    return promised ? promised - Math.max(audioSize, 0) : null;
+}
+
+// Builds the fullest tag that fits in `target` bytes, dropping the lyrics and
+// then the cover, and pads it to exactly that. `build(options, padTo)` renders
+// the tag; without a target, or when even the bare tag is too big, the full
+// tag is returned as is.
+const TAG_VARIANTS = [{ lyrics: true, image: true }, { lyrics: false, image: true }, { lyrics: false, image: false }];
+
+function fitTag(build, target) {
+    if (target !== null) {
+        for (const options of TAG_VARIANTS) {
+            if (build(options).length <= target) return build(options, target);
+        }
+    }
+    return build(TAG_VARIANTS[0]);
+}
+
+// Grows an ID3v2 tag to `padTo` bytes with zero padding, which its size field covers
+function padId3(tag, padTo) {
+    if (!padTo || padTo <= tag.length) return tag;
+    const padded = Buffer.concat([tag, Buffer.alloc(padTo - tag.length)]);
+    const size = padded.length - 10;
+    padded[6] = (size >> 21) & 0x7f;
+    padded[7] = (size >> 14) & 0x7f;
+    padded[8] = (size >> 7) & 0x7f;
+    padded[9] = size & 0x7f;
+    return padded;
+}
+
+// Size of a leading ID3v2 tag (header, body and optional footer)
+function getId3Length(buf) {
+    if (buf.length < 10 || buf.toString('latin1', 0, 3) !== 'ID3') return 0;
+    const size = ((buf[6] & 0x7f) << 21) | ((buf[7] & 0x7f) << 14) | ((buf[8] & 0x7f) << 7) | (buf[9] & 0x7f);
+    return 10 + size + (buf[5] & 0x10 ? 10 : 0);
+}
+
+async function getExperienceFile(account, songId, isFlac) {
+    const key = `${account.name}:${songId}:${config.quality}:${isFlac ? 'flac' : 'mp3'}`;
+    const cached = experienceFiles.get(key);
+    if (cached && Date.now() - cached.timestamp < EXPERIENCE_FILE_TTL) return cached;
+
+    let source;
+    let unblockSource;
+    const cachedAudio = getCachedAudio(account, songId);
+    if (cachedAudio) {
+        source = cachedAudio;
+        unblockSource = getCachedUnblockSource(cachedAudio);
+    } else {
+        const song = await getSongUrl(account, songId);
+        if (!song) return null;
+        source = { url: song.url, size: song.size };
+        unblockSource = song.unblockSource;
+        cacheAudio(account, songId, song);
+    }
+
+    const details = await getSongsDetails(account, [songId]);
+    const s = details[0] || {};
+    const imageBuffer = await fetchCover(s.picUrl);
+    const tagInfo = await getTagInfo(account, s);
+
+    let probe = await readSourceHead(source, PROBE_SIZE);
+    const upstreamSize = probe.total || source.size || 0;
+    const ext = isFlac ? '.flac' : '.mp3';
+    const promised = getResolvedSize(account, songId, s.picUrl, ext);
+    let header = Buffer.alloc(0);
+    let audioOffset = 0;
+    const withoutLyrics = { ...tagInfo, lyricLines: [] };
+
+    if (isFlac) {
+        let parsed = parseFlacMetadata(probe.data);
+        let probeLength = PROBE_SIZE;
+        // Embedded artwork can push the metadata past the first probe
+        while (parsed.needed && probe.data.length === probeLength) {
+            probeLength = parsed.needed + PROBE_SIZE;
+            probe = await readSourceHead(source, probeLength);
+            parsed = parseFlacMetadata(probe.data);
+        }
+        if (parsed.blocks) {
+            audioOffset = parsed.length;
+            header = fitTag((options, padTo) => buildFlacHeader(
+                parsed.blocks,
+                options.image ? imageBuffer : null,
+                buildVorbisComments(options.lyrics ? tagInfo : withoutLyrics),
+                padTo
+            ), getTagTarget(promised, upstreamSize - audioOffset));
         } else {
-            const tags = {
-                title: s.name,
-                artist: s.ar,
-                album: s.al,
-            };
+            logger.warn(`Song ${songId} is not a FLAC stream, serving it untagged`);
+        }
+    } else {
+        audioOffset = getId3Length(probe.data);
+        header = fitTag((options, padTo) => padId3(
+            nodeID3.create(buildId3Tags(options.lyrics ? tagInfo : withoutLyrics, options.image ? imageBuffer : null)),
+            padTo
+        ), getTagTarget(promised, upstreamSize - audioOffset));
+    }
 
-            if (imageBuffer) {
-                tags.image = {
-                    mime: "image/jpeg",
-                    type: { id: 3, name: "front cover" },
-                    description: "Front Cover",
-                    imageBuffer: imageBuffer,
-                };
-            }
-            const tagBuffer = nodeID3.create(tags);
-            res.write(tagBuffer);
-            audioRes.data.pipe(res);
+    const audioSize = Math.max(upstreamSize - audioOffset, 0);
+    const file = {
+        source,
+        header,
+        audioOffset,
+        audioSize,
+        size: header.length + audioSize,
+        contentType: isFlac ? 'audio/flac' : 'audio/mpeg',
+        etag: `"${songId}-${config.quality}-${(header.length + audioSize).toString(16)}"`,
+        mtime: s.publishTime ? new Date(s.publishTime) : todayDate,
+        unblockSource,
+        timestamp: Date.now(),
+    };
+    if (file.size !== promised) {
+        if (promised !== null) logger.warn(`Song ${songId} came out at ${file.size} bytes instead of the listed ${promised}`);
+        recordServedSize(account, songId, ext, file.size);
+    }
+    experienceFiles.set(key, file);
+    return file;
+}
+
+// Programs get tags of their own: the radio stands in for the album and the
+// program description goes into a comment frame
+async function getProgramFile(account, radio, program) {
+    const key = `${account.name}:program:${program.id}:${config.quality}`;
+    const cached = experienceFiles.get(key);
+    if (cached && Date.now() - cached.timestamp < EXPERIENCE_FILE_TTL) return cached;
+
+    const urlRes = await api.song_url_v1({ id: program.mainTrackId, level: config.quality, cookie: account.cookie });
+    const song = urlRes.body.data && urlRes.body.data[0];
+    if (!song || !song.url) return null;
+    const source = { url: song.url, size: song.size };
+
+    const picUrl = program.coverUrl || radio.picUrl;
+    const imageBuffer = await fetchCover(picUrl);
+    const probe = await readSourceHead(source, PROBE_SIZE);
+    const upstreamSize = probe.total || source.size || 0;
+    const promised = getResolvedSize(account, program.mainTrackId, picUrl, '.mp3');
+    const tags = {
+        title: program.name,
+        artist: radio.dj,
+        album: radio.name,
+        trackNumber: program.serialNum ? String(program.serialNum) : undefined,
+        year: program.createTime ? String(new Date(program.createTime).getFullYear()) : undefined,
+        genre: 'Podcast',
+        comment: program.description ? { language: 'chi', text: program.description } : undefined,
+        audioSourceUrl: `https://music.163.com/program?id=${program.id}`,
+    };
+    Object.keys(tags).forEach(k => (tags[k] === undefined || tags[k] === '') && delete tags[k]);
+    const image = imageBuffer && {
+        mime: 'image/jpeg',
+        type: { id: 3, name: 'front cover' },
+        description: 'Front Cover',
+        imageBuffer: imageBuffer,
+    };
+    const audioOffset = getId3Length(probe.data);
+    const header = fitTag((options, padTo) => padId3(
+        nodeID3.create(options.image && image ? { ...tags, image } : tags),
+        padTo
+    ), getTagTarget(promised, upstreamSize - audioOffset));
+
+    const audioSize = Math.max(upstreamSize - audioOffset, 0);
+    const file = {
+        source,
+        header,
+        audioOffset,
+        audioSize,
+        size: header.length + audioSize,
+        contentType: 'audio/mpeg',
+        etag: `"${program.mainTrackId}-${config.quality}-${(header.length + audioSize).toString(16)}"`,
+        mtime: new Date(program.createTime || todayDate),
+        timestamp: Date.now(),
+    };
+    if (file.size !== promised) recordServedSize(account, program.mainTrackId, '.mp3', file.size);
+    experienceFiles.set(key, file);
+    return file;
+}
+
+// Parses a single-range `Range` header. Returns null when the header should be
+// ignored (absent, malformed or multi-range) and false when it can't be satisfied.
+function parseRange(rangeHeader, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((rangeHeader || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+    let start;
+    let end;
+    if (match[1] === '') {
+        const suffix = parseInt(match[2], 10);
+        if (suffix === 0) return false;
+        start = Math.max(size - suffix, 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+        if (end < start) return start >= size ? false : null;
+    }
+    if (start >= size) return false;
+    return { start, end };
+}
+
+function ifRangeMatches(req, file) {
+    const ifRange = req.get('If-Range');
+    if (!ifRange) return true;
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === file.etag;
+    const date = Date.parse(ifRange);
+    return !isNaN(date) && Math.floor(file.mtime.getTime() / 1000) <= Math.floor(date / 1000);
+}
+
+// `onDelivered(start, end)` is called with the byte range actually sent once the response closes
+async function serveVirtualFile(req, res, file, isHead, onDelivered) {
+    let range = null;
+    if (req.get('Range') && ifRangeMatches(req, file)) {
+        range = parseRange(req.get('Range'), file.size);
+    }
+
+    res.set({
+        'Content-Type': file.contentType,
+        'Accept-Ranges': 'bytes',
+        'ETag': file.etag,
+        'Last-Modified': file.mtime.toUTCString(),
+    });
+
+    if (range === false) {
+        res.status(416).set('Content-Range', `bytes */${file.size}`).end();
+        return;
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : file.size - 1;
+    if (range) {
+        res.status(206).set('Content-Range', `bytes ${start}-${end}/${file.size}`);
+    } else {
+        res.status(200);
+    }
+    res.set('Content-Length', String(Math.max(end - start + 1, 0)));
+
+    if (isHead || end < start) {
+        res.end();
+        return;
+    }
+
+    const headerLength = file.header.length;
+    let upstream = null;
+    if (end >= headerLength) {
+        const audioStart = file.audioOffset + Math.max(start - headerLength, 0);
+        const audioEnd = file.audioOffset + end - headerLength;
+        upstream = await openSource(file.source, audioStart, audioEnd);
+    }
+
+    let delivered = 0;
+    if (start < headerLength) {
+        const headerPart = file.header.subarray(start, Math.min(end + 1, headerLength));
+        res.write(headerPart);
+        delivered += headerPart.length;
+    }
+    if (onDelivered) {
+        res.on('close', () => onDelivered(start, start + delivered));
+    }
+    if (!upstream) {
+        res.end();
+        return;
+    }
+    res.on('close', () => upstream.destroy());
+    upstream.on('error', (e) => {
+        logger.error('Upstream stream error:', e.message);
+        res.destroy();
+    });
+    upstream.pipe(res);
+    upstream.on('data', chunk => {
+        delivered += chunk.length;
+    });
+}
+
+async function handleGetExperience(req, res, account, songId, urlPath, isHead) {
+    try {
+        const isFlac = urlPath.endsWith('.flac');
+        const file = await getExperienceFile(account, songId, isFlac);
+        if (!file) {
+            res.status(404).send('Song URL not found');
+            return;
         }
 
+        if (file.unblockSource) res.set('X-Unblock-Source', file.unblockSource);
+        if (!isHead) logger.info(`Streaming song ${songId} in experience mode (${req.get('Range') || 'full'})...`);
+        await serveVirtualFile(req, res, file, isHead, trackPlayback(account, songId, urlPath, file.size));
     } catch (e) {
         logger.error('Experience mode error:', e);
         if (!res.headersSent) {
-            res.status(500).send('Internal Server Error');
+            res.status(502).send('Bad Gateway');
         }
     }
 }
 
-async function syncAllData() {
-    if (!(await checkLogin())) return;
-    logger.info('Starting background sync...');
+async function syncAllData(account) {
+    if (!(await checkLogin(account))) return;
+    logger.info(`Starting background sync${accountLabel(account)}...`);
     try {
-        const profileRes = await api.login_status({ cookie: userCookie });
+        const profileRes = await api.login_status({ cookie: account.cookie });
         const uid = profileRes.body.data.profile.userId;
 
         // User playlists
-        const playlistsRes = await api.user_playlist({ uid, cookie: userCookie, limit: 1000 });
-        webdavCache.userPlaylists = { data: playlistsRes.body.playlist, timestamp: Date.now() };
+        const playlistsRes = await api.user_playlist({ uid, cookie: account.cookie, limit: 1000 });
+        account.webdavCache.userPlaylists = { data: playlistsRes.body.playlist, timestamp: Date.now() };
 
         // Recommend playlists
         try {
-            const resrcRes = await api.recommend_resource({ cookie: userCookie });
-            webdavCache.recommendPlaylists = { data: resrcRes.body.recommend, timestamp: Date.now() };
+            const resrcRes = await api.recommend_resource({ cookie: account.cookie });
+            account.webdavCache.recommendPlaylists = { data: resrcRes.body.recommend, timestamp: Date.now() };
         } catch (e) { logger.error('Sync recommend playlists failed', e); }
 
         // Daily songs
         try {
-            const songsRes = await api.recommend_songs({ cookie: userCookie });
-            webdavCache.dailySongs = { data: songsRes.body.data.dailySongs, timestamp: Date.now() };
-            await getSongsDetails(songsRes.body.data.dailySongs.map(s => s.id));
+            const songsRes = await api.recommend_songs({ cookie: account.cookie });
+            account.webdavCache.dailySongs = { data: songsRes.body.data.dailySongs, timestamp: Date.now() };
+            await getSongsDetails(account, songsRes.body.data.dailySongs.map(s => s.id));
         } catch (e) { logger.error('Sync daily songs failed', e); }
 
-        saveCache();
-        logger.info('Background sync finished.');
+        saveCache(account);
+        logger.info(`Background sync finished${accountLabel(account)}.`);
     } catch (e) {
         logger.error('Sync error:', e);
     }
 }
 
+// Ensure config file is synced with code (and holds no plain passwords)
+function saveConfig() {
+    try {
+        fs.writeFileSync('webdav_config.json', JSON.stringify(config, null, 4));
+    } catch (e) {
+        logger.error('Error saving webdav_config.json', e);
+    }
+}
+
 async function start() {
-    app.listen(PORT, '0.0.0.0', () => {
-        console.log(`WebDAV server started at http://0.0.0.0:${PORT}`);
+    saveConfig();
+    const host = config.host || '0.0.0.0';
+    app.listen(PORT, host, () => {
+        console.log(`WebDAV server started at http://${host}:${PORT}`);
         console.log(`Default music quality: ${config.quality}`);
+        if (config.users.length === 0 && !['127.0.0.1', 'localhost', '::1'].includes(host)) {
+            logger.warn('No WebDAV users configured: anyone who can reach this port can use the account.');
+        }
     });
 
-    if (!(await checkLogin())) {
-        const success = await login();
-        if (!success) {
-            console.error('Login failed. The server will remain active but unauthorized.');
+    // Accounts log in one after another so their terminal QR codes don't interleave
+    for (const account of accounts.values()) {
+        if (!(await checkLogin(account))) {
+            const success = await login(account);
+            if (!success) {
+                console.error(`Login failed${accountLabel(account)}. The server will remain active but unauthorized until you log in at ${ACCOUNT_PAGE}.`);
+            }
+        } else {
+            console.log(`Already logged in${accountLabel(account)}.`);
+            syncAllData(account);
         }
-    } else {
-        console.log('Already logged in.');
-        syncAllData();
     }
 
     // Background sync every 1 hour
-    setInterval(syncAllData, config.refreshInterval || 3600000);
+    setInterval(() => accounts.forEach(account => syncAllData(account)), config.refreshInterval || 3600000);
 
     // Refresh cookie every 24 hours
-    setInterval(async () => {
-        if (userCookie) {
+    setInterval(() => {
+        accounts.forEach(async (account) => {
+            if (!account.cookie) return;
             try {
-                const res = await api.login_refresh({ cookie: userCookie });
+                const res = await api.login_refresh({ cookie: account.cookie });
                 if (res && res.body && res.body.code === 200) {
-                    userCookie = res.cookie;
-                    if (Array.isArray(userCookie)) userCookie = userCookie.join('; ');
-                    fs.writeFileSync(COOKIE_FILE, userCookie);
-                    logger.info('Cookie refreshed successfully.');
+                    setCookie(account, res.cookie);
+                    logger.info(`Cookie refreshed successfully${accountLabel(account)}.`);
                 }
             } catch (e) {
                 logger.error('Cookie refresh failed:', e);
             }
-        }
+        });
     }, 24 * 60 * 60 * 1000);
 }
 
-start();
+// The tests require this file for its helpers without starting the server
+if (require.main === module) {
+    start();
+}
+
+module.exports = {
+    config,
+    parseRange,
+    ifRangeMatches,
+    serveVirtualFile,
+    md5,
+    digestHA1,
+    createNonce,
+    authenticate,
+    parseFlacMetadata,
+    buildVorbisComments,
+    buildFlacHeader,
+    fitTag,
+    padId3,
+    getId3Length,
+    getTagTarget,
+    createAccount,
+    isBlocked,
+    getSongUrl,
+    loadAudioCache,
+    cacheAudio,
+    getCachedAudio,
+    getToplists,
+    trackPlayback,
+    getProgramEntries,
+    pushVideoEntries,
+    app,
+    accounts,
+};
@@ -1,37 +1,1546 @@
-const http = require('http');
-const assert = require('assert');
-
-async function testOptions() {
-    return new Promise((resolve, reject) => {
-        const req = http.request({
-            hostname: '127.0.0.1',
-            port: 3001,
-            path: '/',
-            method: 'OPTIONS'
-        }, (res) => {
-            console.log('OPTIONS status:', res.statusCode);
-            if (res.statusCode === 200 || res.statusCode === 401) {
-                resolve();
-            } else {
-                reject(new Error('Unexpected status: ' + res.statusCode));
-            }
-        });
-        req.on('error', reject);
-        req.end();
-    });
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const express = require('express')
+const http = require('http')
+const nodeID3 = require('node-id3')
+
+// Cookies and caches go to a scratch directory rather than data/
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webdav-test-'))
+process.env.WEBDAV_DATA_DIR = dataDir
+const webdav = require('./webdav')
+const main = require('./main')
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true })
+})
+
+// API modules replaced for the current test; webdav.js calls them through the same object
+const stubbed = {}
+
+function stub(name, fn) {
+  if (!(name in stubbed)) stubbed[name] = main[name]
+  main[name] = fn
+}
+
+afterEach(() => {
+  Object.keys(stubbed).forEach((name) => {
+    main[name] = stubbed[name]
+    delete stubbed[name]
+  })
+})
+
+// Sets config values for the tests of one describe block
+function useConfig(values) {
+  const saved = {}
+  before(() => {
+    Object.keys(values).forEach((key) => {
+      saved[key] = webdav.config[key]
+      webdav.config[key] = values[key]
+    })
+  })
+  after(() => {
+    Object.assign(webdav.config, saved)
+  })
 }
 
-async function runTests() {
+// Runs the WebDAV app on a local port for one describe block, without
+// authentication and with a fresh, logged-in default account
+function useServer() {
+  const server = {}
+  useConfig({ users: [] })
+
+  before((done) => {
+    server.account = webdav.createAccount('default')
+    server.account.cookie = 'MUSIC_U=test'
+    webdav.accounts.set('default', server.account)
+    server.http = webdav.app.listen(0, '127.0.0.1', () => {
+      server.url = `http://127.0.0.1:${server.http.address().port}`
+      done()
+    })
+  })
+
+  beforeEach(() => {
+    stub('login_status', async () => ({
+      body: { data: { profile: { userId: 1, nickname: 'test' } } },
+    }))
+  })
+
+  after((done) => {
+    server.http.close(done)
+  })
+
+  server.request = (method, urlPath, { headers = {}, body } = {}) =>
+    fetch(server.url + encodeURI(urlPath), { method, headers, body })
+  return server
+}
+
+describe('parseRange', () => {
+  const { parseRange } = webdav
+
+  it('ignores absent, malformed and multi-range headers', () => {
+    assert.strictEqual(parseRange(undefined, 1000), null)
+    assert.strictEqual(parseRange('bytes=-', 1000), null)
+    assert.strictEqual(parseRange('items=0-10', 1000), null)
+    assert.strictEqual(parseRange('bytes=0-1,5-6', 1000), null)
+    assert.strictEqual(parseRange('bytes=5-3', 1000), null)
+  })
+
+  it('parses closed, open and suffix ranges', () => {
+    assert.deepStrictEqual(parseRange('bytes=0-99', 1000), {
+      start: 0,
+      end: 99,
+    })
+    assert.deepStrictEqual(parseRange('bytes=500-', 1000), {
+      start: 500,
+      end: 999,
+    })
+    assert.deepStrictEqual(parseRange('bytes=-100', 1000), {
+      start: 900,
+      end: 999,
+    })
+  })
+
+  it('clamps ranges running past the end', () => {
+    assert.deepStrictEqual(parseRange('bytes=900-5000', 1000), {
+      start: 900,
+      end: 999,
+    })
+    assert.deepStrictEqual(parseRange('bytes=-5000', 1000), {
+      start: 0,
+      end: 999,
+    })
+  })
+
+  it('rejects ranges that cannot be satisfied', () => {
+    assert.strictEqual(parseRange('bytes=1000-', 1000), false)
+    assert.strictEqual(parseRange('bytes=2000-1500', 1000), false)
+    assert.strictEqual(parseRange('bytes=-0', 1000), false)
+  })
+})
+
+describe('ifRangeMatches', () => {
+  const { ifRangeMatches } = webdav
+  const file = { etag: '"abc"', mtime: new Date('2024-01-01T00:00:00Z') }
+  const request = (ifRange) => ({
+    get: (name) => (name === 'If-Range' ? ifRange : undefined),
+  })
+
+  it('matches without an If-Range header', () => {
+    assert.strictEqual(ifRangeMatches(request(undefined), file), true)
+  })
+
+  it('compares entity tags exactly', () => {
+    assert.strictEqual(ifRangeMatches(request('"abc"'), file), true)
+    assert.strictEqual(ifRangeMatches(request('"def"'), file), false)
+    assert.strictEqual(ifRangeMatches(request('W/"abc"'), file), false)
+  })
+
+  it('compares dates to the second', () => {
+    assert.strictEqual(
+      ifRangeMatches(request('Mon, 01 Jan 2024 00:00:00 GMT'), file),
+      true,
+    )
+    assert.strictEqual(
+      ifRangeMatches(request('Sun, 31 Dec 2023 23:59:59 GMT'), file),
+      false,
+    )
+    assert.strictEqual(ifRangeMatches(request('not a date'), file), false)
+  })
+})
+
+describe('serveVirtualFile', () => {
+  // A 6-byte generated header in front of the audio, which starts 5 bytes into the source
+  const header = Buffer.from('HEADER')
+  const audio = Buffer.from('abcdefghij')
+  const sourcePath = path.join(dataDir, 'source.bin')
+  const file = {
+    source: { path: sourcePath },
+    header,
+    audioOffset: 5,
+    audioSize: audio.length,
+    size: header.length + audio.length,
+    contentType: 'audio/mpeg',
+    etag: '"test"',
+    mtime: new Date('2024-01-01T00:00:00Z'),
+  }
+  let server
+  let baseUrl
+
+  before((done) => {
+    fs.writeFileSync(sourcePath, Buffer.concat([Buffer.from('XXXXX'), audio]))
+    const app = express()
+    app.use((req, res) =>
+      webdav.serveVirtualFile(req, res, file, req.method === 'HEAD'),
+    )
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/`
+      done()
+    })
+  })
+
+  after((done) => {
+    server.close(done)
+  })
+
+  const get = async (range, method = 'GET') => {
+    const res = await fetch(baseUrl, {
+      method,
+      headers: range ? { Range: range } : {},
+    })
+    return { res, body: Buffer.from(await res.arrayBuffer()).toString() }
+  }
+
+  it('serves the header followed by the audio', async () => {
+    const { res, body } = await get()
+    assert.strictEqual(res.status, 200)
+    assert.strictEqual(res.headers.get('content-length'), '16')
+    assert.strictEqual(body, 'HEADERabcdefghij')
+  })
+
+  it('serves a range spanning header and audio', async () => {
+    const { res, body } = await get('bytes=2-8')
+    assert.strictEqual(res.status, 206)
+    assert.strictEqual(res.headers.get('content-range'), 'bytes 2-8/16')
+    assert.strictEqual(body, 'ADERabc')
+  })
+
+  it('serves ranges within the header or the audio only', async () => {
+    assert.strictEqual((await get('bytes=0-3')).body, 'HEAD')
+    assert.strictEqual((await get('bytes=6-9')).body, 'abcd')
+    assert.strictEqual((await get('bytes=-3')).body, 'hij')
+  })
+
+  it('answers unsatisfiable ranges with 416', async () => {
+    const { res } = await get('bytes=16-')
+    assert.strictEqual(res.status, 416)
+    assert.strictEqual(res.headers.get('content-range'), 'bytes */16')
+  })
+
+  it('sends only headers for HEAD', async () => {
+    const { res, body } = await get(undefined, 'HEAD')
+    assert.strictEqual(res.headers.get('content-length'), '16')
+    assert.strictEqual(body, '')
+  })
+})
+
+describe('authenticate', () => {
+  const { config, authenticate, digestHA1, createNonce, md5 } = webdav
+  const saved = {}
+
+  before(() => {
+    saved.users = config.users
+    saved.authType = config.authType
+    config.authType = 'both'
+    config.users = [
+      { username: 'alice', passwordHash: digestHA1('alice', 'secret') },
+    ]
+  })
+
+  after(() => {
+    config.users = saved.users
+    config.authType = saved.authType
+  })
+
+  const request = (authorization, method = 'PROPFIND', url = '/music/') => ({
+    method,
+    originalUrl: url,
+    get: (name) => (name === 'Authorization' ? authorization : undefined),
+  })
+
+  // What a client sends for `password`, signing `uri`
+  const digestHeader = (
+    password,
+    { nonce = createNonce(), uri = '/music/', method = 'PROPFIND' } = {},
+  ) => {
+    const ha1 = digestHA1('alice', password)
+    const ha2 = md5(`${method}:${uri}`)
+    const response = md5(`${ha1}:${nonce}:00000001:0a4f113b:auth:${ha2}`)
+    return `Digest username="alice", realm="${config.authRealm}", nonce="${nonce}", uri="${uri}", qop=auth, nc=00000001, cnonce="0a4f113b", response="${response}", algorithm=MD5`
+  }
+
+  it('accepts a valid digest response', () => {
+    assert.strictEqual(
+      authenticate(request(digestHeader('secret'))).user.username,
+      'alice',
+    )
+  })
+
+  it('accepts a URI encoded differently from the request', () => {
+    const uri = '/%E6%88%91%E7%9A%84%E6%AD%8C%E5%8D%95/'
+    assert.ok(
+      authenticate(
+        request(digestHeader('secret', { uri }), 'PROPFIND', '/我的歌单/'),
+      ).user,
+    )
+  })
+
+  it('rejects a wrong password, URI or method', () => {
+    assert.deepStrictEqual(authenticate(request(digestHeader('wrong'))), {})
+    assert.deepStrictEqual(
+      authenticate(request(digestHeader('secret', { uri: '/other/' }))),
+      {},
+    )
+    assert.deepStrictEqual(
+      authenticate(request(digestHeader('secret'), 'DELETE')),
+      {},
+    )
+  })
+
+  it('rejects nonces the server did not issue', () => {
+    const forged = Buffer.from(`${Date.now()}:${'0'.repeat(64)}`).toString(
+      'base64',
+    )
+    assert.deepStrictEqual(
+      authenticate(request(digestHeader('secret', { nonce: forged }))),
+      {},
+    )
+  })
+
+  it('reports an expired nonce as stale', () => {
+    const now = Date.now
+    Date.now = () => now() - 10 * 60 * 1000
+    let nonce
     try {
-        await testOptions();
-        console.log('Tests passed!');
-        process.exit(0);
-    } catch (e) {
-        console.error('Tests failed:', e);
-        process.exit(1);
+      nonce = createNonce()
+    } finally {
+      Date.now = now
     }
-}
+    assert.deepStrictEqual(
+      authenticate(request(digestHeader('secret', { nonce }))),
+      { stale: true },
+    )
+  })
+
+  it('rejects digest when only basic is enabled', () => {
+    config.authType = 'basic'
+    try {
+      assert.deepStrictEqual(authenticate(request(digestHeader('secret'))), {})
+    } finally {
+      config.authType = 'both'
+    }
+  })
+  it('checks Basic credentials against the stored hash', () => {
+    const basic = (credentials) =>
+      `Basic ${Buffer.from(credentials).toString('base64')}`
+    assert.strictEqual(
+      authenticate(request(basic('alice:secret'))).user.username,
+      'alice',
+    )
+    assert.deepStrictEqual(authenticate(request(basic('alice:wrong'))), {})
+    assert.deepStrictEqual(authenticate(request(basic('alice'))), {})
+    config.authType = 'digest'
+    try {
+      assert.deepStrictEqual(authenticate(request(basic('alice:secret'))), {})
+    } finally {
+      config.authType = 'both'
+    }
+  })
+})
+
+describe('parseFlacMetadata', () => {
+  const { parseFlacMetadata } = webdav
+  const blockHeader = (last, type, length) =>
+    Buffer.from([(last ? 0x80 : 0) | type, 0, 0, length])
+  const flac = Buffer.concat([
+    Buffer.from('fLaC', 'latin1'),
+    blockHeader(false, 0, 34),
+    Buffer.alloc(34, 1),
+    blockHeader(true, 1, 10),
+    Buffer.alloc(10),
+    Buffer.alloc(100, 9),
+  ])
+
+  it('walks the metadata blocks', () => {
+    const result = parseFlacMetadata(flac)
+    assert.deepStrictEqual(
+      result.blocks.map((b) => [b.type, b.data.length]),
+      [
+        [0, 34],
+        [1, 10],
+      ],
+    )
+    assert.strictEqual(result.length, 56)
+  })
+
+  it('asks for more data when the buffer ends inside the metadata', () => {
+    assert.deepStrictEqual(parseFlacMetadata(flac.subarray(0, 20)), {
+      needed: 42,
+    })
+    assert.deepStrictEqual(parseFlacMetadata(flac.subarray(0, 44)), {
+      needed: 46,
+    })
+  })
+
+  it('rejects data that is not FLAC', () => {
+    assert.deepStrictEqual(parseFlacMetadata(Buffer.from('ID3\x03\x00')), {
+      invalid: true,
+    })
+  })
+
+  it('rebuilds the header with new comments and cover art', () => {
+    const { blocks } = parseFlacMetadata(flac)
+    const comments = webdav.buildVorbisComments({
+      song: {
+        id: 7,
+        name: 'Title',
+        ar: 'A / B',
+        artists: ['A', 'B'],
+        al: 'Album',
+      },
+      albumArtist: 'A',
+      year: '2024',
+      track: '3',
+      disc: '',
+      lyricLines: [{ time: 1500, text: 'hello' }],
+    })
+    assert.deepStrictEqual(comments, [
+      'TITLE=Title',
+      'ARTIST=A',
+      'ARTIST=B',
+      'ALBUM=Album',
+      'ALBUMARTIST=A',
+      'DATE=2024',
+      'TRACKNUMBER=3',
+      'NCM_ID=7',
+      'LYRICS=[00:01.50]hello',
+    ])
+
+    const header = webdav.buildFlacHeader(blocks, Buffer.alloc(50, 2), comments)
+    const rebuilt = parseFlacMetadata(header)
+    assert.strictEqual(rebuilt.length, header.length)
+    // STREAMINFO is kept, the old PADDING dropped; comments and picture follow
+    assert.deepStrictEqual(
+      rebuilt.blocks.map((b) => b.type),
+      [0, 4, 6],
+    )
+    assert.ok(rebuilt.blocks[0].data.equals(blocks[0].data))
+    assert.ok(rebuilt.blocks[1].data.includes('TITLE=Title'))
+  })
+})
+
+describe('tag padding', () => {
+  const { padId3, getId3Length, fitTag, getTagTarget } = webdav
+  const { parseFlacMetadata, buildFlacHeader } = webdav
+  const flacBlocks = [
+    { type: 0, data: Buffer.alloc(34, 1) },
+    { type: 1, data: Buffer.alloc(10) },
+  ]
+
+  it('pads a tag to exactly the requested size', () => {
+    const tag = nodeID3.create({ title: 'Test' })
+    const padded = padId3(tag, 500)
+    assert.strictEqual(padded.length, 500)
+    assert.strictEqual(getId3Length(padded), 500)
+    assert.strictEqual(nodeID3.read(padded).title, 'Test')
+  })
+
+  it('leaves tags that already fill the size alone', () => {
+    const tag = nodeID3.create({ title: 'Test' })
+    assert.strictEqual(padId3(tag, tag.length - 1), tag)
+    assert.strictEqual(padId3(tag, null), tag)
+  })
+
+  it('computes the room left for the tag', () => {
+    assert.strictEqual(getTagTarget(1000, 800), 200)
+    assert.strictEqual(getTagTarget(null, 800), null)
+  })
+
+  it('fits the fullest tag variant into the target', () => {
+    const build = (options, padTo) =>
+      padId3(
+        nodeID3.create({
+          title: 'Test',
+          ...(options.lyrics && {
+            unsynchronisedLyrics: { language: 'chi', text: 'x'.repeat(300) },
+          }),
+          ...(options.image && {
+            image: {
+              mime: 'image/jpeg',
+              type: { id: 3 },
+              description: '',
+              imageBuffer: Buffer.alloc(200),
+            },
+          }),
+        }),
+        padTo,
+      )
+    const full = build({ lyrics: true, image: true })
+    const noLyrics = build({ lyrics: false, image: true })
+
+    const fitted = fitTag(build, full.length + 50)
+    assert.strictEqual(fitted.length, full.length + 50)
+    assert.ok(nodeID3.read(fitted).unsynchronisedLyrics)
+
+    const withoutLyrics = fitTag(build, noLyrics.length + 10)
+    assert.strictEqual(withoutLyrics.length, noLyrics.length + 10)
+    assert.strictEqual(
+      nodeID3.read(withoutLyrics).unsynchronisedLyrics,
+      undefined,
+    )
+    assert.ok(nodeID3.read(withoutLyrics).image)
+  })
+
+  it('returns the full tag when nothing fits or nothing was promised', () => {
+    const build = (options, padTo) =>
+      padId3(nodeID3.create({ title: options.image ? 'Full' : 'Bare' }), padTo)
+    assert.strictEqual(nodeID3.read(fitTag(build, 5)).title, 'Full')
+    assert.strictEqual(nodeID3.read(fitTag(build, null)).title, 'Full')
+  })
+
+  it('pads a rebuilt FLAC header to exactly the promised size', () => {
+    const bare = buildFlacHeader(flacBlocks, null, ['TITLE=Test'])
+    // Gaps of 4 bytes or more get a PADDING block, smaller ones go into the vendor string
+    for (const gap of [0, 2, 4, 1000]) {
+      const header = buildFlacHeader(
+        flacBlocks,
+        null,
+        ['TITLE=Test'],
+        bare.length + gap,
+      )
+      assert.strictEqual(header.length, bare.length + gap)
+      assert.strictEqual(parseFlacMetadata(header).length, bare.length + gap)
+    }
+  })
+})
+
+describe('unblock', () => {
+  const { isBlocked, getSongUrl } = webdav
+  useConfig({ unblock: true, unblockSources: ['first', 'second'] })
+  const account = webdav.createAccount('unblock')
+
+  it('treats songs without a URL or with only a trial clip as blocked', () => {
+    assert.strictEqual(isBlocked(null), true)
+    assert.strictEqual(isBlocked({ id: 1, url: null }), true)
+    assert.strictEqual(
+      isBlocked({ id: 1, url: 'u', freeTrialInfo: { start: 0, end: 30 } }),
+      true,
+    )
+    // The fee type says what the song costs, not what this account may play
+    assert.strictEqual(isBlocked({ id: 1, url: 'u', fee: 1 }), false)
+  })
+
+  it('keeps full NetEase URLs', async () => {
+    stub('song_url_v1', async () => ({
+      body: { data: [{ id: 1, url: 'http://netease/1.mp3', fee: 1 }] },
+    }))
+    stub('song_url_match', async () =>
+      assert.fail('a full URL must not be unblocked'),
+    )
+    const song = await getSongUrl(account, 1)
+    assert.strictEqual(song.url, 'http://netease/1.mp3')
+    assert.strictEqual(song.unblockSource, undefined)
+  })
+
+  it('replaces a trial clip with the first source that matches', async () => {
+    const tried = []
+    stub('song_url_v1', async () => ({
+      body: {
+        data: [{ id: 2, url: 'http://netease/clip.mp3', freeTrialInfo: {} }],
+      },
+    }))
+    stub('song_url_match', async ({ source }) => {
+      tried.push(source)
+      return {
+        body:
+          source === 'second'
+            ? { code: 200, data: 'http://second/2.flac' }
+            : { code: 404 },
+      }
+    })
+    const song = await getSongUrl(account, 2)
+    assert.deepStrictEqual(tried, ['first', 'second'])
+    assert.deepStrictEqual(
+      { url: song.url, type: song.type, unblockSource: song.unblockSource },
+      { url: 'http://second/2.flac', type: 'flac', unblockSource: 'second' },
+    )
+  })
+
+  it('falls back to the trial clip and remembers songs nothing matched', async () => {
+    let tries = 0
+    stub('song_url_v1', async () => ({
+      body: {
+        data: [{ id: 3, url: 'http://netease/clip.mp3', freeTrialInfo: {} }],
+      },
+    }))
+    stub('song_url_match', async () => {
+      tries++
+      return { body: { code: 404 } }
+    })
+    assert.strictEqual(
+      (await getSongUrl(account, 3)).url,
+      'http://netease/clip.mp3',
+    )
+    assert.strictEqual(
+      (await getSongUrl(account, 3)).url,
+      'http://netease/clip.mp3',
+    )
+    assert.strictEqual(tries, 2)
+  })
+})
+
+describe('audio cache', () => {
+  const { cacheAudio, getCachedAudio } = webdav
+  // About 1.5 KB, so the third 600-byte file evicts one
+  useConfig({ audioCacheMaxSize: 0.0015, quality: 'exhigh' })
+  const vip = webdav.createAccount('vip')
+  const free = webdav.createAccount('free')
+  const audio = Buffer.alloc(600, 1)
+  let server
+  let url
+
+  before((done) => {
+    webdav.loadAudioCache()
+    server = http.createServer((req, res) => res.end(audio))
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/a.mp3`
+      done()
+    })
+  })
+
+  after((done) => {
+    server.close(done)
+  })
+
+  const tick = () => new Promise((resolve) => setTimeout(resolve, 5))
+
+  it("keeps each account's files to itself", async () => {
+    await cacheAudio(vip, 1, { url, size: audio.length, type: 'mp3' })
+    assert.strictEqual(getCachedAudio(vip, 1).size, audio.length)
+    assert.strictEqual(getCachedAudio(free, 1), null)
+  })
+
+  it('never caches trial clips', () => {
+    const song = { url, size: audio.length, type: 'mp3', freeTrialInfo: {} }
+    assert.strictEqual(cacheAudio(free, 2, song), null)
+  })
+
+  it('evicts the least recently used file', async () => {
+    await tick()
+    await cacheAudio(vip, 2, { url, size: audio.length, type: 'mp3' })
+    await tick()
+    getCachedAudio(vip, 1)
+    await tick()
+    await cacheAudio(vip, 3, { url, size: audio.length, type: 'mp3' })
+    assert.ok(getCachedAudio(vip, 1))
+    assert.strictEqual(getCachedAudio(vip, 2), null)
+    assert.ok(getCachedAudio(vip, 3))
+  })
+
+  it('drops downloads that come out short', async () => {
+    await cacheAudio(free, 4, { url, size: audio.length + 1, type: 'mp3' })
+    assert.strictEqual(getCachedAudio(free, 4), null)
+  })
+})
+
+describe('getToplists', () => {
+  const { getToplists } = webdav
+  const MINUTE = 60 * 1000
+  const DAY = 24 * 60 * MINUTE
+
+  it('keeps the list until the first chart is due to update', async () => {
+    const account = webdav.createAccount('charts')
+    const now = Date.now()
+    stub('toplist', async () => ({
+      body: {
+        list: [
+          {
+            id: 1,
+            name: '飙升榜',
+            updateFrequency: '每天更新',
+            updateTime: now - DAY / 2,
+          },
+          {
+            id: 2,
+            name: '新歌榜',
+            updateFrequency: '每周四更新',
+            updateTime: now - DAY,
+          },
+        ],
+      },
+    }))
+    assert.strictEqual((await getToplists(account)).length, 2)
+    const { expires } = account.webdavCache.lists.toplist
+    assert.ok(Math.abs(expires - (now + DAY / 2)) < MINUTE)
+  })
+
+  it('rechecks an empty list after a few minutes', async () => {
+    const account = webdav.createAccount('empty-charts')
+    let calls = 0
+    stub('toplist', async () => {
+      calls++
+      return { body: { list: [] } }
+    })
+    assert.deepStrictEqual(await getToplists(account), [])
+    const { expires } = account.webdavCache.lists.toplist
+    assert.ok(Number.isFinite(expires) && expires - Date.now() <= 10 * MINUTE)
+    await getToplists(account)
+    assert.strictEqual(calls, 1)
+    account.webdavCache.lists.toplist.expires = Date.now() - 1
+    await getToplists(account)
+    assert.strictEqual(calls, 2)
+  })
+})
+
+describe('PUT into 云盘', () => {
+  const server = useServer()
+  useConfig({ cloudUploadMaxSize: 0.0001 }) // about 100 bytes
+
+  it('uploads mp3 and flac files', async () => {
+    const uploads = []
+    stub('cloud', async (query) => {
+      uploads.push(query.songFile)
+      return { body: { code: 200 } }
+    })
+    server.account.webdavCache.lists.cloud = { data: [], timestamp: Date.now() }
+    const data = Buffer.from('not really audio')
+    const res = await server.request('PUT', '/云盘/歌.flac', { body: data })
+    assert.strictEqual(res.status, 201)
+    assert.strictEqual(uploads.length, 1)
+    assert.strictEqual(
+      Buffer.from(uploads[0].name, 'latin1').toString(),
+      '歌.flac',
+    )
+    assert.ok(uploads[0].data.equals(data))
+    assert.strictEqual(uploads[0].md5, webdav.md5(data))
+    assert.strictEqual(uploads[0].mimetype, 'audio/flac')
+    // The cloud listing is fetched again to show the new file
+    assert.strictEqual(server.account.webdavCache.lists.cloud, undefined)
+  })
+
+  it('only accepts audio files directly in 云盘', async () => {
+    stub('cloud', async () => assert.fail('nothing may be uploaded'))
+    assert.strictEqual(
+      (await server.request('PUT', '/云盘/notes.txt', { body: 'x' })).status,
+      403,
+    )
+    assert.strictEqual(
+      (await server.request('PUT', '/我的歌单/a.mp3', { body: 'x' })).status,
+      403,
+    )
+  })
+
+  it('accepts and drops OS metadata files', async () => {
+    stub('cloud', async () => assert.fail('nothing may be uploaded'))
+    assert.strictEqual(
+      (await server.request('PUT', '/云盘/._a.mp3', { body: 'x' })).status,
+      201,
+    )
+  })
+
+  it('rejects uploads over cloudUploadMaxSize', async () => {
+    stub('cloud', async () => assert.fail('nothing may be uploaded'))
+    const res = await server.request('PUT', '/云盘/big.mp3', {
+      body: Buffer.alloc(200),
+    })
+    assert.strictEqual(res.status, 413)
+
+    // Without a Content-Length the limit applies while the body is read
+    const chunked = await new Promise((resolve, reject) => {
+      const req = http.request(
+        server.url + encodeURI('/云盘/big.mp3'),
+        { method: 'PUT' },
+        resolve,
+      )
+      req.on('error', reject)
+      req.write(Buffer.alloc(80))
+      req.end(Buffer.alloc(80))
+    })
+    assert.strictEqual(chunked.statusCode, 413)
+    chunked.resume()
+  })
+
+  it('reports upstream failures as 502', async () => {
+    stub('cloud', async () =>
+      Promise.reject({ status: 500, body: { code: 500, msg: 'error' } }),
+    )
+    assert.strictEqual(
+      (await server.request('PUT', '/云盘/a.mp3', { body: 'x' })).status,
+      502,
+    )
+  })
+})
+
+describe('playlist folders', () => {
+  const server = useServer()
+  const upstreamError = () =>
+    Promise.reject({ status: 400, body: { code: 400, message: 'bad' } })
+
+  beforeEach(() => {
+    server.account.webdavCache.userPlaylists = { data: [], timestamp: 0 }
+    stub('user_playlist', async () => ({
+      body: {
+        playlist: [
+          { id: 10, name: 'Mine', userId: 1 },
+          { id: 11, name: 'Liked', userId: 1, specialType: 5 },
+          { id: 12, name: 'Theirs', userId: 2 },
+        ],
+      },
+    }))
+  })
+
+  it('creates a playlist with MKCOL', async () => {
+    const created = []
+    stub('playlist_create', async (query) => {
+      created.push(query.name)
+      return { body: { code: 200 } }
+    })
+    assert.strictEqual(
+      (await server.request('MKCOL', '/我的歌单/New')).status,
+      201,
+    )
+    assert.deepStrictEqual(created, ['New'])
+    assert.strictEqual(
+      (await server.request('MKCOL', '/我的歌单/Mine')).status,
+      405,
+    )
+    assert.strictEqual((await server.request('MKCOL', '/云盘/x')).status, 403)
+  })
+
+  it('renames an owned playlist with MOVE', async () => {
+    const renamed = []
+    stub('playlist_name_update', async (query) => {
+      renamed.push([query.id, query.name])
+      return { body: { code: 200 } }
+    })
+    const move = (from, to) =>
+      server.request('MOVE', from, {
+        headers: { Destination: encodeURI(to) },
+      })
+    assert.strictEqual(
+      (await move('/我的歌单/Mine', '/我的歌单/Ours')).status,
+      201,
+    )
+    assert.deepStrictEqual(renamed, [[10, 'Ours']])
+    assert.strictEqual(
+      (await move('/我的歌单/Mine', '/我的歌单/Theirs')).status,
+      412,
+    )
+    assert.strictEqual(
+      (await move('/我的歌单/Theirs', '/我的歌单/X')).status,
+      403,
+    )
+    assert.strictEqual(
+      (await move('/我的歌单/Liked', '/我的歌单/X')).status,
+      403,
+    )
+    assert.strictEqual((await move('/我的歌单/Mine', '/云盘/Mine')).status, 403)
+  })
+
+  it('deletes a playlist only when the DELETE is repeated', async () => {
+    const deleted = []
+    stub('playlist_delete', async (query) => {
+      deleted.push(query.id)
+      return { body: { code: 200 } }
+    })
+    assert.strictEqual(
+      (await server.request('DELETE', '/我的歌单/Mine')).status,
+      403,
+    )
+    assert.deepStrictEqual(deleted, [])
+    assert.strictEqual(
+      (await server.request('DELETE', '/我的歌单/Mine')).status,
+      204,
+    )
+    assert.deepStrictEqual(deleted, [10])
+    assert.strictEqual(
+      (await server.request('DELETE', '/我的歌单/Theirs')).status,
+      403,
+    )
+  })
+
+  it('reports upstream failures as 502', async () => {
+    stub('playlist_create', upstreamError)
+    stub('playlist_name_update', upstreamError)
+    stub('playlist_delete', upstreamError)
+    assert.strictEqual(
+      (await server.request('MKCOL', '/我的歌单/New')).status,
+      502,
+    )
+    const renamed = await server.request('MOVE', '/我的歌单/Mine', {
+      headers: { Destination: encodeURI('/我的歌单/Ours') },
+    })
+    assert.strictEqual(renamed.status, 502)
+    assert.match(await renamed.text(), /bad/)
+    await server.request('DELETE', '/我的歌单/Mine')
+    assert.strictEqual(
+      (await server.request('DELETE', '/我的歌单/Mine')).status,
+      502,
+    )
+  })
+})
+
+describe('DELETE', () => {
+  const server = useServer()
+
+  beforeEach(() => {
+    server.account.webdavCache.userPlaylists = { data: [], timestamp: 0 }
+    stub('user_playlist', async () => ({
+      body: {
+        playlist: [
+          { id: 10, name: 'Mine', userId: 1 },
+          { id: 12, name: 'Theirs', userId: 2 },
+        ],
+      },
+    }))
+  })
+
+  it('removes a song from an owned playlist', async () => {
+    const removed = []
+    stub('playlist_tracks', async (query) => {
+      removed.push([query.op, query.pid, query.tracks])
+      return { status: 200, body: { code: 200 } }
+    })
+    server.account.songPathMap.set('/我的歌单/Mine/a.mp3', 5)
+    server.account.songPathMap.set('/我的歌单/Theirs/a.mp3', 5)
+    assert.strictEqual(
+      (await server.request('DELETE', '/我的歌单/Mine/a.mp3')).status,
+      204,
+    )
+    assert.deepStrictEqual(removed, [['del', 10, '5']])
+    assert.ok(!server.account.songPathMap.has('/我的歌单/Mine/a.mp3'))
+    assert.strictEqual(
+      (await server.request('DELETE', '/我的歌单/Mine/a.mp3')).status,
+      404,
+    )
+    assert.strictEqual(
+      (await server.request('DELETE', '/我的歌单/Theirs/a.mp3')).status,
+      403,
+    )
+    assert.strictEqual(removed.length, 1)
+  })
+
+  it('deletes 云盘 files', async () => {
+    const deleted = []
+    stub('user_cloud_del', async (query) => {
+      deleted.push(query.id)
+      return { body: { code: 200 } }
+    })
+    const setCloud = () => {
+      server.account.webdavCache.lists.cloud = {
+        data: [{ id: 7, fileName: 'Song.FLAC' }],
+        timestamp: Date.now(),
+      }
+    }
+    setCloud()
+    assert.strictEqual(
+      (await server.request('DELETE', '/云盘/Song.flac')).status,
+      204,
+    )
+    assert.deepStrictEqual(deleted, [7])
+    assert.strictEqual(server.account.webdavCache.lists.cloud, undefined)
+
+    setCloud()
+    assert.strictEqual(
+      (await server.request('DELETE', '/云盘/Other.mp3')).status,
+      404,
+    )
+    stub('user_cloud_del', async () =>
+      Promise.reject({ status: 404, body: { code: 404, msg: 'gone' } }),
+    )
+    assert.strictEqual(
+      (await server.request('DELETE', '/云盘/Song.flac')).status,
+      502,
+    )
+  })
+
+  it('moves 私人FM songs to the FM trash', async () => {
+    const trashed = []
+    stub('fm_trash', async (query) => {
+      trashed.push(query.id)
+      return { body: { code: 200 } }
+    })
+    stub('personal_fm', async () => ({ body: { data: [] } }))
+    server.account.fm['默认'] = {
+      entries: [
+        { id: 1, seq: 1 },
+        { id: 2, seq: 2 },
+      ],
+      position: 1,
+      nextSeq: 3,
+      filling: null,
+    }
+    server.account.songPathMap.set('/私人FM/默认/a.mp3', 1)
+    server.account.songPathMap.set('/私人FM/默认/b.mp3', 2)
+    assert.strictEqual(
+      (await server.request('DELETE', '/私人FM/默认/a.mp3')).status,
+      204,
+    )
+    assert.deepStrictEqual(trashed, [1])
+    const state = server.account.fm['默认']
+    assert.deepStrictEqual(
+      state.entries.map((e) => e.id),
+      [2],
+    )
+    assert.strictEqual(state.position, 0)
+    await state.filling
+
+    stub('fm_trash', async () =>
+      Promise.reject({ status: 400, body: { code: 400, msg: 'no' } }),
+    )
+    assert.strictEqual(
+      (await server.request('DELETE', '/私人FM/默认/b.mp3')).status,
+      502,
+    )
+    assert.deepStrictEqual(
+      state.entries.map((e) => e.id),
+      [2],
+    )
+  })
+
+  it('accepts OS metadata files and refuses everything else', async () => {
+    assert.strictEqual(
+      (await server.request('DELETE', '/云盘/.DS_Store')).status,
+      204,
+    )
+    assert.strictEqual(
+      (await server.request('DELETE', '/每日推荐/a.mp3')).status,
+      403,
+    )
+  })
+})
+
+describe('COPY and MOVE between playlists', () => {
+  const server = useServer()
+  let calls
+
+  const send = (method, from, to) =>
+    server.request(method, from, { headers: { Destination: encodeURI(to) } })
+
+  beforeEach(() => {
+    calls = []
+    server.account.webdavCache.userPlaylists = { data: [], timestamp: 0 }
+    stub('user_playlist', async () => ({
+      body: {
+        playlist: [
+          { id: 10, name: 'A', userId: 1 },
+          { id: 11, name: 'B', userId: 1 },
+          { id: 12, name: 'Theirs', userId: 2 },
+        ],
+      },
+    }))
+    stub('playlist_tracks', async (query) => {
+      calls.push([query.op, query.pid, query.tracks])
+      return { status: 200, body: { code: 200 } }
+    })
+    server.account.songPathMap.set('/我的歌单/A/a.mp3', 5)
+    server.account.songPathMap.set('/我的歌单/Theirs/a.mp3', 5)
+  })
+
+  it('copies a song into an owned playlist', async () => {
+    assert.strictEqual(
+      (await send('COPY', '/我的歌单/A/a.mp3', '/我的歌单/B/a.mp3')).status,
+      201,
+    )
+    assert.deepStrictEqual(calls, [['add', 11, '5']])
+    assert.ok(server.account.songPathMap.has('/我的歌单/A/a.mp3'))
+  })
+
+  it('moves a song out of the source playlist', async () => {
+    server.account.webdavCache.deadProps = { '/我的歌单/A/a.mp3': {} }
+    assert.strictEqual(
+      (await send('MOVE', '/我的歌单/A/a.mp3', '/我的歌单/B/a.mp3')).status,
+      201,
+    )
+    assert.deepStrictEqual(calls, [
+      ['add', 11, '5'],
+      ['del', 10, '5'],
+    ])
+    assert.ok(!server.account.songPathMap.has('/我的歌单/A/a.mp3'))
+    assert.deepStrictEqual(server.account.webdavCache.deadProps, {
+      '/我的歌单/B/a.mp3': {},
+    })
+  })
+
+  it('refuses playlists the account does not own', async () => {
+    assert.strictEqual(
+      (await send('MOVE', '/我的歌单/Theirs/a.mp3', '/我的歌单/B/a.mp3'))
+        .status,
+      403,
+    )
+    assert.strictEqual(
+      (await send('COPY', '/我的歌单/A/a.mp3', '/我的歌单/Theirs/a.mp3'))
+        .status,
+      403,
+    )
+    assert.strictEqual(
+      (await send('MOVE', '/我的歌单/A/a.mp3', '/我的歌单/A/b.mp3')).status,
+      403,
+    )
+    assert.deepStrictEqual(calls, [])
+  })
+
+  it('rolls the add back when the source cannot be changed', async () => {
+    stub('playlist_tracks', async (query) => {
+      calls.push([query.op, query.pid, query.tracks])
+      const code = query.op === 'del' && query.pid === 10 ? 401 : 200
+      return { status: 200, body: { code } }
+    })
+    const res = await send('MOVE', '/我的歌单/A/a.mp3', '/我的歌单/B/a.mp3')
+    assert.strictEqual(res.status, 207)
+    assert.match(await res.text(), /HTTP\/1\.1 401 Unauthorized/)
+    assert.deepStrictEqual(calls, [
+      ['add', 11, '5'],
+      ['del', 10, '5'],
+      ['del', 11, '5'],
+    ])
+    assert.ok(server.account.songPathMap.has('/我的歌单/A/a.mp3'))
+  })
+
+  it('keeps the target when the song was already in it', async () => {
+    stub('playlist_tracks', async (query) => {
+      calls.push([query.op, query.pid, query.tracks])
+      const code = query.op === 'add' ? 502 : 401
+      return { status: 200, body: { code } }
+    })
+    const res = await send('MOVE', '/我的歌单/A/a.mp3', '/我的歌单/B/a.mp3')
+    assert.strictEqual(res.status, 207)
+    assert.deepStrictEqual(calls, [
+      ['add', 11, '5'],
+      ['del', 10, '5'],
+    ])
+  })
+})
+
+describe('scrobble', () => {
+  useConfig({ scrobble: true, scrobbleThreshold: 0.5 })
+  let account, scrobbles
+
+  beforeEach(() => {
+    account = webdav.createAccount('scrobbler')
+    account.webdavCache.songs[5] = { dt: 200000 }
+    account.webdavCache.songs[6] = { dt: 100000 }
+    scrobbles = []
+    stub('scrobble', async (query) => {
+      scrobbles.push([query.id, query.time])
+      return { body: { code: 200 } }
+    })
+  })
+
+  it('reports the delivered share of the song once it passes the threshold', () => {
+    const track = webdav.trackPlayback(account, 5, '/我的歌单/A/a.mp3', 1000)
+    track(0, 400)
+    assert.deepStrictEqual(scrobbles, [])
+    track(300, 600)
+    assert.deepStrictEqual(scrobbles, [[5, 120]])
+    // Played again within the song's duration
+    track(0, 1000)
+    assert.deepStrictEqual(scrobbles, [[5, 120]])
+  })
+
+  it('reports a full read with the whole duration', () => {
+    webdav.trackPlayback(account, 6, '/云盘/b.mp3', 1000)(0, 1000)
+    assert.deepStrictEqual(scrobbles, [[6, 100]])
+  })
+
+  it('does nothing when scrobbling is off', () => {
+    webdav.config.scrobble = false
+    assert.strictEqual(
+      webdav.trackPlayback(account, 5, '/云盘/a.mp3', 1000),
+      undefined,
+    )
+  })
+})
+
+describe('program file names', () => {
+  useConfig({ maxFilenameLength: 40 })
+  const createTime = new Date(2024, 0, 2).getTime()
+  const program = (id, name) => ({ id, name, serialNum: 1, createTime })
+
+  it('keeps the whole name within maxFilenameLength', () => {
+    const long = 'x'.repeat(60)
+    const names = webdav
+      .getProgramEntries([
+        program(1, long),
+        program(22, long),
+        program(3, 'Short'),
+      ])
+      .map((e) => e.name)
+    assert.deepStrictEqual(names.slice(2), ['001 2024-01-02 Short.mp3'])
+    assert.match(names[0], /^001 2024-01-02 x+ \(1\)\.mp3$/)
+    assert.match(names[1], /^001 2024-01-02 x+ \(22\)\.mp3$/)
+    names.forEach((name) => assert.ok(name.length <= 40, name))
+    assert.strictEqual(names[1].length, 40)
+  })
+
+  it('tells apart names that only clash once cut', () => {
+    const names = webdav
+      .getProgramEntries([
+        program(1, 'y'.repeat(50) + 'a'),
+        program(2, 'y'.repeat(50) + 'b'),
+      ])
+      .map((e) => e.name)
+    assert.notStrictEqual(names[0], names[1])
+    names.forEach((name) => assert.ok(name.length <= 40, name))
+  })
+})
+
+describe('video file names', () => {
+  useConfig({ maxFilenameLength: 30 })
+
+  it('keeps the video and poster names within maxFilenameLength', async () => {
+    const account = webdav.createAccount('videos')
+    const videos = [1, 22].map((id) => ({
+      id,
+      type: 0,
+      name: 'z'.repeat(40),
+      artist: 'Artist',
+      picUrl: `http://127.0.0.1:1/${id}.jpg`,
+    }))
+    videos.forEach((v) => {
+      account.webdavCache.lists[`video_0_${v.id}`] = {
+        data: { size: 100, resolution: 1080 },
+        timestamp: Date.now(),
+      }
+    })
+    const expected = ['z'.repeat(22) + ' (1)', 'z'.repeat(21) + ' (22)']
+    // Poster sizes are already known, so nothing is fetched
+    expected.forEach((name, i) => {
+      account.webdavCache.covers[`/收藏的MV/${name}.jpg`] = {
+        url: videos[i].picUrl,
+        size: 5,
+      }
+    })
+    const resources = []
+    await webdav.pushVideoEntries(account, resources, '/收藏的MV', videos)
+    assert.deepStrictEqual(
+      resources.map((r) => r.name),
+      [
+        `${expected[0]}.mp4`,
+        `${expected[0]}.jpg`,
+        `${expected[1]}.mp4`,
+        `${expected[1]}.jpg`,
+      ],
+    )
+    resources.forEach((r) => assert.ok(r.name.length <= 30, r.name))
+  })
+})
+
+describe('LOCK and PROPPATCH', () => {
+  const server = useServer()
+  const lockBody =
+    '<?xml version="1.0"?><D:lockinfo xmlns:D="DAV:">' +
+    '<D:lockscope><D:exclusive/></D:lockscope>' +
+    '<D:locktype><D:write/></D:locktype><D:owner>me</D:owner></D:lockinfo>'
+  const proppatch = (urlPath, inner) =>
+    server.request('PROPPATCH', urlPath, {
+      body:
+        '<?xml version="1.0"?><D:propertyupdate xmlns:D="DAV:" xmlns:Z="urn:z">' +
+        inner +
+        '</D:propertyupdate>',
+    })
+
+  beforeEach(() => {
+    server.account.webdavCache.lists.cloud = {
+      data: [{ id: 7, fileName: 'Song.mp3', fileSize: 10 }],
+      timestamp: Date.now(),
+    }
+    server.account.webdavCache.propfind = {}
+    server.account.webdavCache.deadProps = {}
+  })
+
+  it('locks unmapped and existing URLs', async () => {
+    const created = await server.request('LOCK', '/云盘/new.mp3', {
+      body: lockBody,
+    })
+    assert.strictEqual(created.status, 201)
+    const token = created.headers.get('Lock-Token')
+    assert.match(token, /^<opaquelocktoken:.+>$/)
+    assert.strictEqual(
+      (await server.request('LOCK', '/云盘/new.mp3', { body: lockBody }))
+        .status,
+      423,
+    )
+    assert.strictEqual(
+      (await server.request('PUT', '/云盘/new.mp3', { body: 'x' })).status,
+      423,
+    )
+    assert.strictEqual(
+      (
+        await server.request('UNLOCK', '/云盘/new.mp3', {
+          headers: { 'Lock-Token': '<opaquelocktoken:other>' },
+        })
+      ).status,
+      409,
+    )
+    assert.strictEqual(
+      (
+        await server.request('UNLOCK', '/云盘/new.mp3', {
+          headers: { 'Lock-Token': token },
+        })
+      ).status,
+      204,
+    )
+
+    const existing = await server.request('LOCK', '/云盘/Song.mp3', {
+      body: lockBody,
+    })
+    assert.strictEqual(existing.status, 200)
+    await server.request('UNLOCK', '/云盘/Song.mp3', {
+      headers: { 'Lock-Token': existing.headers.get('Lock-Token') },
+    })
+  })
+
+  it('stores dead properties and refuses DAV: ones', async () => {
+    const res = await proppatch(
+      '/云盘/Song.mp3',
+      '<D:set><D:prop><Z:color>red</Z:color></D:prop></D:set>',
+    )
+    assert.strictEqual(res.status, 207)
+    assert.match(await res.text(), /HTTP\/1\.1 200 OK/)
+    const found = await server.request('PROPFIND', '/云盘/Song.mp3', {
+      headers: { Depth: '0' },
+      body:
+        '<?xml version="1.0"?><D:propfind xmlns:D="DAV:" xmlns:Z="urn:z">' +
+        '<D:prop><Z:color/></D:prop></D:propfind>',
+    })
+    assert.match(await found.text(), /red/)
+
+    const rejected = await proppatch(
+      '/云盘/Song.mp3',
+      '<D:set><D:prop><Z:color>blue</Z:color>' +
+        '<D:getcontentlength>1</D:getcontentlength></D:prop></D:set>',
+    )
+    const body = await rejected.text()
+    assert.match(body, /HTTP\/1\.1 403 Forbidden/)
+    assert.match(body, /HTTP\/1\.1 424 Failed Dependency/)
+    assert.strictEqual(
+      server.account.webdavCache.deadProps['/云盘/Song.mp3']['urn:z color']
+        .value,
+      'red',
+    )
+  })
+
+  it('refuses paths that do not exist', async () => {
+    const res = await proppatch(
+      '/云盘/none.mp3',
+      '<D:set><D:prop><Z:color>red</Z:color></D:prop></D:set>',
+    )
+    assert.strictEqual(res.status, 404)
+    assert.deepStrictEqual(server.account.webdavCache.deadProps, {})
+  })
+
+  it('drops the properties of deleted files', async () => {
+    stub('user_cloud_del', async () => ({ body: { code: 200 } }))
+    await proppatch(
+      '/云盘/Song.mp3',
+      '<D:set><D:prop><Z:color>red</Z:color></D:prop></D:set>',
+    )
+    assert.strictEqual(
+      (await server.request('DELETE', '/云盘/Song.mp3')).status,
+      204,
+    )
+    assert.deepStrictEqual(server.account.webdavCache.deadProps, {})
+  })
+
+  it('moves the properties of renamed playlists', async () => {
+    server.account.webdavCache.userPlaylists = { data: [], timestamp: 0 }
+    stub('user_playlist', async () => ({
+      body: { playlist: [{ id: 10, name: 'Mine', userId: 1 }] },
+    }))
+    stub('playlist_name_update', async () => ({ body: { code: 200 } }))
+    const prop = { 'urn:z color': { ns: 'urn:z', name: 'color', value: 'red' } }
+    server.account.webdavCache.deadProps = {
+      '/我的歌单/Mine': prop,
+      '/我的歌单/Mine/a.mp3': prop,
+      '/我的歌单/Mine2': prop,
+    }
+    const res = await server.request('MOVE', '/我的歌单/Mine', {
+      headers: { Destination: encodeURI('/我的歌单/Ours') },
+    })
+    assert.strictEqual(res.status, 201)
+    assert.deepStrictEqual(
+      Object.keys(server.account.webdavCache.deadProps).sort(),
+      ['/我的歌单/Mine2', '/我的歌单/Ours', '/我的歌单/Ours/a.mp3'],
+    )
+  })
+})
+
+describe('PROPFIND', () => {
+  const server = useServer()
+  useConfig({ propfindDepthLimit: 2 })
+  const propfind = (urlPath, depth, body) =>
+    server.request('PROPFIND', urlPath, {
+      headers: depth === undefined ? {} : { Depth: depth },
+      body:
+        body &&
+        `<?xml version="1.0"?><D:propfind xmlns:D="DAV:">${body}</D:propfind>`,
+    })
+  const hrefs = async (res) =>
+    [...(await res.text()).matchAll(/<D:href>([^<]*)<\/D:href>/g)].map((m) =>
+      decodeURI(m[1]),
+    )
+
+  beforeEach(() => {
+    // Cached listings, so nothing is fetched
+    server.account.songPathMap.clear()
+    const timestamp = Date.now()
+    const mtime = new Date(2024, 0, 2).getTime()
+    server.account.webdavCache.propfind = {
+      '/我的歌单': {
+        resources: [
+          { name: '我的歌单', type: 'collection', mtime },
+          { name: 'A', type: 'collection', mtime },
+        ],
+        timestamp,
+      },
+      '/我的歌单/A': {
+        resources: [
+          { name: 'A', type: 'collection', mtime },
+          { name: 'a.mp3', type: 'file', size: 123, mtime },
+        ],
+        timestamp,
+      },
+    }
+  })
+
+  it('follows the Depth header', async () => {
+    const depth0 = await propfind('/我的歌单', '0')
+    assert.strictEqual(depth0.status, 207)
+    assert.deepStrictEqual(await hrefs(depth0), ['/我的歌单/'])
+    assert.deepStrictEqual(await hrefs(await propfind('/我的歌单', '1')), [
+      '/我的歌单/',
+      '/我的歌单/A/',
+    ])
+    // No Depth header means infinity, bounded by propfindDepthLimit
+    assert.deepStrictEqual(await hrefs(await propfind('/我的歌单')), [
+      '/我的歌单/',
+      '/我的歌单/A/',
+      '/我的歌单/A/a.mp3',
+    ])
+  })
+
+  it('rejects infinite depth when propfindDepthLimit is 0', async () => {
+    webdav.config.propfindDepthLimit = 0
+    const res = await propfind('/我的歌单', 'infinity')
+    assert.strictEqual(res.status, 403)
+    assert.match(await res.text(), /propfind-finite-depth/)
+    assert.strictEqual((await propfind('/我的歌单', '1')).status, 207)
+  })
+
+  it('lists property names without values', async () => {
+    const text = await (
+      await propfind('/我的歌单/A', '1', '<D:propname/>')
+    ).text()
+    assert.match(text, /<D:getcontentlength\/>/)
+    assert.doesNotMatch(text, /123/)
+  })
+
+  it('answers selected properties and reports missing ones', async () => {
+    const text = await (
+      await propfind(
+        '/我的歌单/A',
+        '1',
+        '<D:prop><D:getcontentlength/><D:quota-used-bytes/></D:prop>',
+      )
+    ).text()
+    assert.match(text, /<D:getcontentlength>123<\/D:getcontentlength>/)
+    assert.match(
+      text,
+      /<D:quota-used-bytes\/>\s*<\/D:prop>\s*<D:status>HTTP\/1\.1 404 Not Found/,
+    )
+    assert.doesNotMatch(text, /getlastmodified/)
+  })
+
+  it('returns 404 for unknown paths and 400 for malformed bodies', async () => {
+    assert.strictEqual((await propfind('/我的歌单/A/b.mp3', '0')).status, 404)
+    assert.strictEqual(
+      (
+        await server.request('PROPFIND', '/我的歌单', {
+          headers: { Depth: '0' },
+          body: '<D:propfind',
+        })
+      ).status,
+      400,
+    )
+  })
+})
+
+describe('song path mappings', () => {
+  const server = useServer()
+  useConfig({ filenameTemplate: '{index} {title}', lrcFiles: false })
+  const list = async (urlPath) => {
+    server.account.webdavCache.propfind = {}
+    return server.request('PROPFIND', urlPath, { headers: { Depth: '1' } })
+  }
+  const mapped = (dirPath) =>
+    [...server.account.songPathMap]
+      .filter(([p]) => p.startsWith(dirPath + '/'))
+      .map(([p, id]) => [p.substring(dirPath.length + 1), id])
+
+  beforeEach(() => {
+    server.account.songPathMap.clear()
+    server.account.searches.clear()
+  })
+
+  it('maps only what a folder lists now', async () => {
+    let results = [1, 2]
+    stub('cloudsearch', async () => ({
+      body: { result: { songs: results.map((id) => ({ id })) } },
+    }))
+    stub('song_detail', async (query) => {
+      const ids = query.ids.split(',').map(Number)
+      return {
+        body: {
+          songs: ids.map((id) => ({
+            id,
+            name: `Song${id}`,
+            ar: [{ name: 'Artist' }],
+            al: { id: 1, name: 'Album' },
+            dt: 1000,
+          })),
+          privileges: ids.map((id) => ({ id, st: 0, pl: 320000, fee: 0 })),
+        },
+      }
+    })
+    stub('song_url_v1', async (query) => ({
+      body: {
+        data: query.id
+          .split(',')
+          .map((id) => ({ id: Number(id), url: 'x', size: 10, type: 'mp3' })),
+      },
+    }))
+
+    assert.strictEqual((await list('/搜索/q')).status, 207)
+    assert.deepStrictEqual(mapped('/搜索/q'), [
+      ['1 Song1.mp3', 1],
+      ['2 Song2.mp3', 2],
+    ])
+    // The results changed: "2 Song2.mp3" is gone, not left pointing at song 2
+    results = [2]
+    server.account.searches.clear()
+    await list('/搜索/q')
+    assert.deepStrictEqual(mapped('/搜索/q'), [['1 Song2.mp3', 2]])
+
+    // Search results are not kept across restarts
+    server.account.webdavCache.lists.cloud = {
+      data: [{ id: 7, fileName: 'Song.mp3', fileSize: 10 }],
+      timestamp: Date.now(),
+    }
+    await list('/云盘')
+    const saved = JSON.parse(fs.readFileSync(server.account.cacheFile, 'utf-8'))
+    assert.deepStrictEqual(Object.keys(saved.songPathMap), ['/云盘/Song.mp3'])
+  })
+
+  it('keeps the old mappings when the listing fails', async () => {
+    const setCloud = (fileName, id) => {
+      server.account.webdavCache.lists.cloud = {
+        data: [{ id, fileName, fileSize: 10 }],
+        timestamp: Date.now(),
+      }
+    }
+    setCloud('Song.mp3', 7)
+    await list('/云盘')
+    setCloud('Other.mp3', 8)
+    await list('/云盘')
+    assert.deepStrictEqual(mapped('/云盘'), [['Other.mp3', 8]])
 
-// Give server some time to start if run externally, or we could start it here.
-console.log('Waiting 5s for server to initialize...');
-setTimeout(runTests, 5000);
+    delete server.account.webdavCache.lists.cloud
+    stub('user_cloud', async () =>
+      Promise.reject({ status: 502, body: { code: 502, msg: 'down' } }),
+    )
+    assert.strictEqual((await list('/云盘')).status, 500)
+    assert.deepStrictEqual(mapped('/云盘'), [['Other.mp3', 8]])
+  })
+})